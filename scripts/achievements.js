@@ -4,12 +4,33 @@
  */
 
 const AchievementManager = {
+    /**
+     * Achievements are data: each one declares the rule that unlocks it.
+     *
+     * rule.type:
+     *   'event'    - unlock the first time `event` fires
+     *   'count'    - unlock after `event` fires `target` times
+     *   'unique'   - unlock after `target` distinct values of payload[`key`]
+     *   'days'     - unlock after `event` fires on `target` different days
+     *   'duration' - unlock after `target` seconds between `event` and `stopEvent`
+     * rule.where   - optional payload filter, e.g. ({ id }) => id === 'nexus'
+     * rule.target  - number, or a function returning one
+     * xp           - experience awarded on unlock (see ProgressionManager)
+     * secret       - shown as "???" in the Vault until unlocked
+     */
     achievements: [
         {
             id: 'explorer',
             title: 'Explorer',
             description: 'Visit all sections of the portal',
             icon: '🧭',
+            xp: 150,
+            rule: {
+                type: 'unique',
+                event: 'section:enter',
+                key: 'id',
+                target: () => document.querySelectorAll('section[id]').length
+            },
             unlocked: false
         },
         {
@@ -17,6 +38,8 @@ const AchievementManager = {
             title: 'Nexus Member',
             description: 'Enter the Nexus hub',
             icon: '👥',
+            xp: 50,
+            rule: { type: 'event', event: 'section:enter', where: ({ id }) => id === 'nexus' },
             unlocked: false
         },
         {
@@ -24,6 +47,8 @@ const AchievementManager = {
             title: 'Audiophile',
             description: 'Enable cinematic audio',
             icon: '🔊',
+            xp: 50,
+            rule: { type: 'event', event: 'audio:play' },
             unlocked: false
         },
         {
@@ -31,6 +56,8 @@ const AchievementManager = {
             title: 'Storyteller',
             description: 'Complete the Prologue',
             icon: '📖',
+            xp: 100,
+            rule: { type: 'event', event: 'prologue:complete' },
             unlocked: false
         },
         {
@@ -38,6 +65,9 @@ const AchievementManager = {
             title: 'Theme Master',
             description: 'Change the color theme',
             icon: '🎨',
+            xp: 50,
+            // Only changes made by the visitor in this tab count, not restores, syncs or Auto switches
+            rule: { type: 'event', event: 'theme:changed', where: ({ manual }) => manual },
             unlocked: false
         },
         {
@@ -45,12 +75,99 @@ const AchievementManager = {
             title: 'Connector',
             description: 'Reach the Contact section',
             icon: '💬',
+            xp: 75,
+            rule: { type: 'event', event: 'section:enter', where: ({ id }) => id === 'contact' },
+            unlocked: false
+        },
+        {
+            id: 'palette-hopper',
+            title: 'Palette Hopper',
+            description: 'Try 4 different themes',
+            icon: '🌈',
+            xp: 100,
+            rule: {
+                type: 'unique',
+                event: 'theme:changed',
+                key: 'theme',
+                target: 4,
+                where: ({ manual }) => manual
+            },
+            unlocked: false
+        },
+        {
+            id: 'marathon',
+            title: 'Marathon Listener',
+            description: 'Listen to the soundtrack for 60 seconds',
+            icon: '🎧',
+            xp: 100,
+            rule: { type: 'duration', event: 'audio:play', stopEvent: 'audio:pause', target: 60 },
+            unlocked: false
+        },
+        {
+            id: 'regular',
+            title: 'Regular',
+            description: 'Visit the portal on 3 different days',
+            icon: '📅',
+            xp: 150,
+            rule: { type: 'days', event: 'app:ready', target: 3 },
+            unlocked: false
+        },
+        {
+            id: 'old-school',
+            title: 'Old School',
+            description: 'Enter the Konami code',
+            icon: '🕹️',
+            xp: 200,
+            secret: true,
+            rule: { type: 'event', event: 'secret:found', where: ({ id }) => id === 'konami' },
+            unlocked: false
+        },
+        {
+            id: 'persistent',
+            title: 'Persistent',
+            description: "Poke the creator's avatar 7 times",
+            icon: '👆',
+            xp: 150,
+            secret: true,
+            rule: { type: 'count', event: 'avatar:click', target: 7 },
+            unlocked: false
+        },
+        {
+            id: 'spectrum',
+            title: 'Full Spectrum',
+            description: 'Cycle through every theme',
+            icon: '🎡',
+            xp: 250,
+            secret: true,
+            rule: {
+                type: 'unique',
+                event: 'theme:changed',
+                key: 'theme',
+                // Bonus themes unlocked through levels and custom themes don't count
+                target: () => window.ThemeManager?.themes.filter(t => !t.reward && !t.custom).length || 10,
+                where: ({ manual, data }) => manual && !data.reward && !data.custom
+            },
+            unlocked: false
+        },
+        {
+            id: 'lore-hunter',
+            title: 'Lore Hunter',
+            description: 'Find the hidden glyph in the Prologue',
+            icon: '🔮',
+            xp: 200,
+            secret: true,
+            rule: { type: 'event', event: 'secret:found', where: ({ id }) => id === 'prologue-glyph' },
             unlocked: false
         }
     ],
 
-    storageKey: 'metalayer-achievements',
-    sectionsVisited: new Set(),
+    storageKey: 'achievements',
+    // Unlock timestamps (ms) per achievement id
+    unlockedAt: {},
+    // Partial progress per achievement id (counts, seconds or lists of seen values)
+    progress: {},
+    // Running 'duration' timers per achievement id
+    timers: {},
     toastQueue: [],
     isShowingToast: false,
 
@@ -61,95 +178,228 @@ const AchievementManager = {
         // Load saved achievements
         this.loadState();
 
-        // Set up section observers
-        this.setupSectionObservers();
+        // Listen for the events that unlock achievements
+        this.setupEventListeners();
 
-        // Update vault display
+        // Build the vault cards, then fill in their state
+        this.renderVault();
         this.updateVaultDisplay();
 
         console.log('🏆 Achievement Manager initialized');
     },
 
     /**
-     * Load saved achievements from localStorage
+     * Load saved achievements
      */
     loadState() {
-        try {
-            const savedState = localStorage.getItem(this.storageKey);
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                state.unlocked?.forEach(id => {
-                    const achievement = this.achievements.find(a => a.id === id);
-                    if (achievement) {
-                        achievement.unlocked = true;
-                    }
-                });
+        const state = Store.get(this.storageKey);
+        if (!state) return;
+
+        state.unlocked?.forEach(id => {
+            const achievement = this.achievements.find(a => a.id === id);
+            if (achievement) {
+                achievement.unlocked = true;
             }
-        } catch (e) {
-            console.warn('Could not load achievements:', e);
-        }
+        });
+        this.unlockedAt = state.unlockedAt || {};
+        this.progress = state.progress || {};
     },
 
     /**
-     * Save achievements to localStorage
+     * Save achievements
      */
     saveState() {
-        try {
-            const unlocked = this.achievements
-                .filter(a => a.unlocked)
-                .map(a => a.id);
-            localStorage.setItem(this.storageKey, JSON.stringify({ unlocked }));
-        } catch (e) {
-            console.warn('Could not save achievements:', e);
-        }
+        const unlocked = this.achievements
+            .filter(a => a.unlocked)
+            .map(a => a.id);
+        Store.set(this.storageKey, {
+            unlocked,
+            unlockedAt: this.unlockedAt,
+            progress: this.progress
+        });
     },
 
     /**
-     * Set up Intersection Observers for sections
+     * Take over achievements saved by another tab
+     * @param {Object} state - Saved state ({ unlocked, unlockedAt, progress })
      */
-    setupSectionObservers() {
-        const sections = document.querySelectorAll('section[id]');
-
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting && entry.intersectionRatio > 0.3) {
-                    const sectionId = entry.target.id;
-                    this.onSectionVisit(sectionId);
-                }
-            });
-        }, {
-            threshold: 0.3
+    syncState(state) {
+        const unlocked = state.unlocked || [];
+        this.unlockedAt = state.unlockedAt || {};
+        this.progress = state.progress || {};
+
+        this.achievements.forEach(achievement => {
+            if (achievement.unlocked || !unlocked.includes(achievement.id)) return;
+
+            achievement.unlocked = true;
+            clearInterval(this.timers[achievement.id]);
+            delete this.timers[achievement.id];
+
+            // No toast here, the other tab already celebrated it
+            EventBus.emit('achievement:unlocked', { achievement, synced: true });
         });
 
-        sections.forEach(section => observer.observe(section));
+        this.updateVaultDisplay();
+    },
+
+    /**
+     * Subscribe to every event referenced by an achievement rule
+     */
+    setupEventListeners() {
+        const events = new Set();
+        this.achievements.forEach(({ rule }) => {
+            if (!rule) return;
+            events.add(rule.event);
+            if (rule.stopEvent) events.add(rule.stopEvent);
+        });
+
+        events.forEach(event => {
+            EventBus.on(event, (payload) => this.handleEvent(event, payload));
+        });
+
+        // Other modules (e.g. level-ups) share the toast queue
+        EventBus.on('toast:show', (toast) => this.notify(toast));
+
+        // Unlocks and progress from other tabs
+        EventBus.on('storage:changed', ({ key, value }) => {
+            if (key === this.storageKey && value) {
+                this.syncState(value);
+            }
+        });
     },
 
     /**
-     * Handle section visit
-     * @param {string} sectionId - The section ID
+     * Advance every locked achievement whose rule listens for this event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
      */
-    onSectionVisit(sectionId) {
-        // Track visited sections
-        this.sectionsVisited.add(sectionId);
-
-        // Section-specific achievements
-        switch (sectionId) {
-            case 'nexus':
-                this.unlock('nexus-visitor');
-                break;
-            case 'contact':
-                this.unlock('connector');
-                break;
+    handleEvent(event, payload) {
+        let changed = false;
+
+        this.achievements.forEach(achievement => {
+            const { rule } = achievement;
+            if (achievement.unlocked || !rule) return;
+
+            // Stopping a duration timer ignores the payload filter
+            if (rule.type === 'duration' && rule.stopEvent === event) {
+                this.stopTimer(achievement);
+                return;
+            }
+
+            if (rule.event !== event) return;
+            if (rule.where && !rule.where(payload)) return;
+
+            switch (rule.type) {
+                case 'event':
+                    this.unlock(achievement.id);
+                    break;
+                case 'count':
+                    this.progress[achievement.id] = (this.progress[achievement.id] || 0) + 1;
+                    changed = true;
+                    break;
+                case 'unique':
+                case 'days': {
+                    const value = rule.type === 'days' ? this.getLocalDate() : payload[rule.key];
+                    const seen = this.progress[achievement.id] || [];
+                    if (value !== undefined && !seen.includes(value)) {
+                        this.progress[achievement.id] = [...seen, value];
+                        changed = true;
+                    }
+                    break;
+                }
+                case 'duration':
+                    this.startTimer(achievement);
+                    break;
+            }
+
+            this.checkProgress(achievement);
+        });
+
+        if (changed) {
+            this.saveState();
+            this.updateVaultDisplay();
         }
+    },
+
+    /**
+     * Unlock an achievement once its progress reaches the target
+     * @param {Object} achievement - Achievement data
+     */
+    checkProgress(achievement) {
+        if (achievement.unlocked || achievement.rule.type === 'event') return;
 
-        // Check for explorer achievement (all sections visited)
-        const allSections = ['hero', 'nexus', 'vault', 'prologue', 'about', 'contact'];
-        const allVisited = allSections.every(s => this.sectionsVisited.has(s));
-        if (allVisited) {
-            this.unlock('explorer');
+        const { current, target } = this.getAchievementProgress(achievement);
+        if (current >= target) {
+            this.unlock(achievement.id);
         }
     },
 
+    /**
+     * Start counting seconds for a 'duration' achievement
+     * @param {Object} achievement - Achievement data
+     */
+    startTimer(achievement) {
+        if (this.timers[achievement.id]) return;
+
+        this.timers[achievement.id] = setInterval(() => {
+            // Time spent in a hidden tab doesn't count
+            if (document.hidden) return;
+
+            const seconds = (this.progress[achievement.id] || 0) + 1;
+            this.progress[achievement.id] = seconds;
+
+            this.checkProgress(achievement);
+            if (achievement.unlocked) {
+                this.stopTimer(achievement);
+                return;
+            }
+
+            // Persist every few seconds rather than on every tick
+            if (seconds % 5 === 0) {
+                this.saveState();
+            }
+            this.updateVaultDisplay();
+        }, 1000);
+    },
+
+    /**
+     * Stop counting seconds for a 'duration' achievement
+     * @param {Object} achievement - Achievement data
+     */
+    stopTimer(achievement) {
+        if (!this.timers[achievement.id]) return;
+
+        clearInterval(this.timers[achievement.id]);
+        delete this.timers[achievement.id];
+        this.saveState();
+    },
+
+    /**
+     * Get current/target progress for an achievement
+     * @param {Object} achievement - Achievement data
+     * @returns {{current: number, target: number}}
+     */
+    getAchievementProgress(achievement) {
+        const { rule } = achievement;
+        const target = typeof rule?.target === 'function' ? rule.target() : (rule?.target || 1);
+        const value = this.progress[achievement.id];
+
+        let current = Array.isArray(value) ? value.length : (value || 0);
+        if (achievement.unlocked) current = target;
+
+        return { current: Math.min(current, target), target };
+    },
+
+    /**
+     * Today's date in the visitor's timezone, e.g. "2024-05-31"
+     * @returns {string}
+     */
+    getLocalDate() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    },
+
     /**
      * Unlock an achievement
      * @param {string} id - Achievement ID
@@ -159,10 +409,13 @@ const AchievementManager = {
         if (!achievement || achievement.unlocked) return;
 
         achievement.unlocked = true;
+        this.unlockedAt[id] = Date.now();
         this.saveState();
         this.updateVaultDisplay();
         this.showToast(achievement);
 
+        EventBus.emit('achievement:unlocked', { achievement });
+
         console.log(`🏆 Achievement unlocked: ${achievement.title}`);
     },
 
@@ -171,8 +424,23 @@ const AchievementManager = {
      * @param {Object} achievement - Achievement data
      */
     showToast(achievement) {
+        // Secrets get a rarer style and linger a little longer
+        this.notify({
+            icon: achievement.icon,
+            title: achievement.secret ? 'Secret Achievement Unlocked!' : 'Achievement Unlocked!',
+            text: `${achievement.title} · +${achievement.xp || 0} XP`,
+            variant: achievement.secret ? 'secret' : '',
+            duration: achievement.secret ? 4500 : 3000
+        });
+    },
+
+    /**
+     * Queue a toast notification
+     * @param {Object} toast - { icon, title, text, variant?, duration? }
+     */
+    notify(toast) {
         // Add to queue
-        this.toastQueue.push(achievement);
+        this.toastQueue.push(toast);
 
         // Process queue if not already showing
         if (!this.isShowingToast) {
@@ -190,19 +458,21 @@ const AchievementManager = {
         }
 
         this.isShowingToast = true;
-        const achievement = this.toastQueue.shift();
+        const { icon, title, text, variant, duration = 3000 } = this.toastQueue.shift();
 
         const container = document.querySelector('.achievement-container');
         if (!container) return;
 
         // Create toast element
         const toast = document.createElement('div');
-        toast.className = 'achievement-toast';
+        toast.className = variant
+            ? `achievement-toast achievement-toast--${variant}`
+            : 'achievement-toast';
         toast.innerHTML = `
-            <div class="achievement-toast__icon">${achievement.icon}</div>
+            <div class="achievement-toast__icon">${icon}</div>
             <div class="achievement-toast__content">
-                <div class="achievement-toast__title">Achievement Unlocked!</div>
-                <div class="achievement-toast__text">${achievement.title}</div>
+                <div class="achievement-toast__title">${title}</div>
+                <div class="achievement-toast__text">${text}</div>
             </div>
         `;
 
@@ -220,7 +490,7 @@ const AchievementManager = {
                 toast.remove();
                 this.processToastQueue();
             }, 300);
-        }, 3000);
+        }, duration);
     },
 
     /**
@@ -246,27 +516,109 @@ const AchievementManager = {
         this.achievements.forEach(achievement => {
             const card = document.querySelector(`[data-achievement="${achievement.id}"]`);
             if (card) {
-                if (achievement.unlocked) {
-                    card.classList.add('unlocked');
-                    const status = card.querySelector('.achievement-card__status');
-                    if (status) {
-                        status.innerHTML = '<span>✓</span>';
-                    }
-                }
+                this.updateCard(card, achievement);
             }
         });
     },
 
+    /**
+     * Render one vault card per achievement
+     */
+    renderVault() {
+        const grid = document.querySelector('.vault__grid');
+        if (!grid) return;
+
+        grid.innerHTML = this.achievements.map(achievement => `
+            <article class="achievement-card" data-achievement="${achievement.id}">
+                <div class="achievement-card__icon" aria-hidden="true"></div>
+                <h3 class="achievement-card__title"></h3>
+                <p class="achievement-card__description"></p>
+                <div class="achievement-card__progress" hidden>
+                    <div class="achievement-card__progress-bar"><div class="achievement-card__progress-fill"></div></div>
+                    <span class="achievement-card__progress-text"></span>
+                </div>
+                <div class="achievement-card__status"></div>
+                <time class="achievement-card__date" hidden></time>
+            </article>
+        `).join('');
+
+        // The cards didn't exist when the scroll reveal was set up
+        if (window.ScrollManager) {
+            window.ScrollManager.refresh();
+        }
+    },
+
+    /**
+     * Reflect locked, unlocked and secret state on a vault card
+     * @param {HTMLElement} card - Vault card element
+     * @param {Object} achievement - Achievement data
+     */
+    updateCard(card, achievement) {
+        const concealed = achievement.secret && !achievement.unlocked;
+
+        card.classList.toggle('unlocked', achievement.unlocked);
+        card.classList.toggle('achievement-card--secret', concealed);
+
+        card.querySelector('.achievement-card__icon').textContent = concealed ? '❔' : achievement.icon;
+        card.querySelector('.achievement-card__title').textContent = concealed ? '???' : achievement.title;
+        card.querySelector('.achievement-card__description').textContent = concealed
+            ? 'Secret achievement'
+            : achievement.description;
+
+        const status = card.querySelector('.achievement-card__status');
+        status.innerHTML = achievement.unlocked
+            ? '<span>✓</span>'
+            : '<span class="achievement-card__lock">🔒</span>';
+
+        this.updateCardProgress(card, achievement, concealed);
+
+        // Unlock timestamp (missing for achievements saved before it existed)
+        const date = card.querySelector('.achievement-card__date');
+        const timestamp = this.unlockedAt[achievement.id];
+        date.hidden = !(achievement.unlocked && timestamp);
+        if (!date.hidden) {
+            const unlockedDate = new Date(timestamp);
+            date.dateTime = unlockedDate.toISOString();
+            date.textContent = `Unlocked ${unlockedDate.toLocaleDateString(undefined, {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            })}`;
+        }
+    },
+
+    /**
+     * Show a partial progress bar on cards with multi-step rules
+     * @param {HTMLElement} card - Vault card element
+     * @param {Object} achievement - Achievement data
+     * @param {boolean} concealed - Whether the card is a hidden secret
+     */
+    updateCardProgress(card, achievement, concealed) {
+        const progress = card.querySelector('.achievement-card__progress');
+        const { current, target } = this.getAchievementProgress(achievement);
+
+        // Single-step, finished and secret achievements have nothing to show
+        progress.hidden = target <= 1 || achievement.unlocked || concealed;
+        if (progress.hidden) return;
+
+        const unit = achievement.rule.type === 'duration' ? 's' : '';
+        progress.querySelector('.achievement-card__progress-fill').style.width = `${(current / target) * 100}%`;
+        progress.querySelector('.achievement-card__progress-text').textContent = `${current}${unit} / ${target}${unit}`;
+    },
+
     /**
      * Get achievement progress
      * @returns {Object} Progress data
      */
     getProgress() {
-        const unlocked = this.achievements.filter(a => a.unlocked).length;
+        const unlocked = this.achievements.filter(a => a.unlocked);
+        const sumXp = (list) => list.reduce((total, a) => total + (a.xp || 0), 0);
         return {
-            unlocked,
+            unlocked: unlocked.length,
             total: this.achievements.length,
-            percentage: Math.round((unlocked / this.achievements.length) * 100)
+            percentage: Math.round((unlocked.length / this.achievements.length) * 100),
+            xp: sumXp(unlocked),
+            maxXp: sumXp(this.achievements)
         };
     },
 
@@ -274,9 +626,13 @@ const AchievementManager = {
      * Reset all achievements (for testing)
      */
     reset() {
-        this.achievements.forEach(a => a.unlocked = false);
-        this.sectionsVisited.clear();
-        localStorage.removeItem(this.storageKey);
+        this.achievements.forEach(a => {
+            a.unlocked = false;
+            this.stopTimer(a);
+        });
+        this.unlockedAt = {};
+        this.progress = {};
+        Store.remove(this.storageKey);
         this.updateVaultDisplay();
         console.log('🔄 Achievements reset');
     }
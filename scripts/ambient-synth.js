@@ -0,0 +1,348 @@
+/**
+ * ambient-synth.js - Generative Ambient Soundtrack
+ * Web Audio pad (oscillators, filter, noise and reverb) whose key and timbre follow the theme
+ */
+
+const AmbientSynth = {
+    // Chord progression as scale degrees (I, vi, IV, V), one chord every `chordDuration` seconds
+    progression: [0, 5, 3, 4],
+    chordDuration: 10,
+    // Seconds to glide between chords and themes, and to fade in/out
+    glide: 1.5,
+    fadeIn: 2,
+    fadeOut: 0.6,
+    // Pad level at full volume, leaving headroom for the reverb
+    level: 0.5,
+
+    scales: {
+        major: [0, 2, 4, 5, 7, 9, 11],
+        minor: [0, 2, 3, 5, 7, 8, 10],
+        dorian: [0, 2, 3, 5, 7, 9, 10],
+        lydian: [0, 2, 4, 6, 7, 9, 11]
+    },
+
+    // Per-track overrides: { progression, chordDuration, octave }
+    track: {},
+
+    context: null,
+    nodes: null,
+    voices: [],
+    sound: null,
+    step: 0,
+    chordTimer: null,
+    stopTimer: null,
+    volume: 0.3,
+    isPlaying: false,
+
+    /**
+     * Start the pad, fading in from silence
+     * @param {Object} options
+     * @param {AudioContext} options.context - Shared audio context
+     * @param {AudioNode} [options.destination] - Output node (defaults to the speakers)
+     * @param {number} [options.volume] - Volume from 0 to 1
+     * @param {Object} [options.theme] - Theme entry the key and timbre are derived from
+     */
+    async play({ context, destination = context.destination, volume = this.volume, theme }) {
+        if (this.isPlaying) return;
+
+        // Resuming needs the click/keypress that called play()
+        if (context.state === 'suspended') {
+            await context.resume();
+        }
+
+        clearTimeout(this.stopTimer);
+        if (this.nodes) {
+            this.teardown();
+        }
+
+        this.context = context;
+        this.volume = volume;
+        this.sound = this.getSound(theme || window.ThemeManager?.getCurrentTheme());
+        this.build(destination);
+
+        this.isPlaying = true;
+        this.step = 0;
+        this.playChord(true);
+        this.rampTo(this.nodes.master.gain, this.volume * this.level, this.fadeIn);
+
+        console.log('🎹 Ambient synth playing');
+    },
+
+    /**
+     * Fade out, then release the audio nodes
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        clearTimeout(this.chordTimer);
+        this.rampTo(this.nodes.master.gain, 0, this.fadeOut);
+
+        this.stopTimer = setTimeout(() => this.teardown(), this.fadeOut * 1000 + 100);
+    },
+
+    /**
+     * @param {number} value - Volume from 0 to 1
+     */
+    setVolume(value) {
+        this.volume = value;
+        if (this.isPlaying) {
+            this.rampTo(this.nodes.master.gain, value * this.level, 0.2);
+        }
+    },
+
+    /**
+     * Move to a theme's key and timbre, gliding from the current one
+     * @param {Object} theme - Theme entry
+     */
+    setTheme(theme) {
+        if (!theme) return;
+
+        this.sound = this.getSound(theme);
+        if (!this.isPlaying) return;
+
+        const { filter, noiseGain } = this.nodes;
+        this.rampTo(filter.frequency, this.sound.cutoff, this.glide);
+        this.rampTo(noiseGain.gain, this.sound.noise, this.glide);
+        this.voices.forEach(voice => this.rampTo(voice.edge.gain, this.sound.edge, this.glide));
+
+        this.playChord();
+    },
+
+    /**
+     * Use a playlist entry's progression, pace and register from the next chord on
+     * @param {Object} [track={}] - { progression?, chordDuration?, octave? }
+     */
+    setTrack(track = {}) {
+        this.track = track;
+        this.step = 0;
+    },
+
+    /**
+     * Derive key, scale and timbre from a theme's colors, so custom themes get a sound too
+     * @param {Object} theme - Theme entry with primary/secondary hex colors
+     * @returns {{root: number, scale: Array<number>, cutoff: number, edge: number, noise: number}}
+     */
+    getSound(theme) {
+        const primary = this.toHsl(theme?.primary || '#8B5CF6');
+        const secondary = this.toHsl(theme?.secondary || '#F472B6');
+
+        // Hue picks the key (one semitone per 30°) around C3
+        const root = 48 + Math.round(primary.h / 30) % 12;
+
+        // Greys sound modal, warm hues major, violets dreamy, cool hues minor
+        let scale = this.scales.minor;
+        if (primary.s < 0.15) {
+            scale = this.scales.dorian;
+        } else if (primary.h < 70 || primary.h >= 330) {
+            scale = this.scales.major;
+        } else if (primary.h >= 250) {
+            scale = this.scales.lydian;
+        }
+
+        // Lighter, more saturated accents open the filter and add sawtooth edge
+        const brightness = (primary.l + primary.s) / 2;
+        return {
+            root,
+            scale,
+            cutoff: 350 + brightness * 2000,
+            edge: 0.05 + brightness * 0.25,
+            // Washed-out secondaries get more wind
+            noise: 0.015 + (1 - secondary.s) * 0.03
+        };
+    },
+
+    /**
+     * Create the shared graph: filter → dry/reverb → master, plus filtered noise
+     * @param {AudioNode} destination - Output node
+     */
+    build(destination) {
+        const ctx = this.context;
+
+        const master = ctx.createGain();
+        master.gain.value = 0;
+        master.connect(destination);
+
+        const reverb = ctx.createConvolver();
+        reverb.buffer = this.createImpulse(4);
+        const wet = ctx.createGain();
+        wet.gain.value = 0.6;
+        const dry = ctx.createGain();
+        dry.gain.value = 0.4;
+        reverb.connect(wet).connect(master);
+        dry.connect(master);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = this.sound.cutoff;
+        filter.Q.value = 4;
+        filter.connect(dry);
+        filter.connect(reverb);
+
+        // Slow filter sweep keeps the pad moving between chords
+        const lfo = ctx.createOscillator();
+        const lfoDepth = ctx.createGain();
+        lfo.frequency.value = 0.05;
+        lfoDepth.gain.value = 300;
+        lfo.connect(lfoDepth).connect(filter.frequency);
+        lfo.start();
+
+        // Wind: looping noise through a band-pass
+        const noise = ctx.createBufferSource();
+        noise.buffer = this.createNoise(2);
+        noise.loop = true;
+        const noiseFilter = ctx.createBiquadFilter();
+        noiseFilter.type = 'bandpass';
+        noiseFilter.frequency.value = 800;
+        noiseFilter.Q.value = 0.7;
+        const noiseGain = ctx.createGain();
+        noiseGain.gain.value = this.sound.noise;
+        noise.connect(noiseFilter).connect(noiseGain).connect(reverb);
+        noise.start();
+
+        // Four voices, each a sine body plus a detuned sawtooth for edge
+        this.voices = Array.from({ length: 4 }, () => {
+            const output = ctx.createGain();
+            output.gain.value = 0.12;
+            output.connect(filter);
+
+            const body = ctx.createOscillator();
+            body.type = 'sine';
+            body.connect(output);
+
+            const edge = ctx.createGain();
+            edge.gain.value = this.sound.edge;
+            edge.connect(output);
+            const saw = ctx.createOscillator();
+            saw.type = 'sawtooth';
+            saw.detune.value = (Math.random() - 0.5) * 14;
+            saw.connect(edge);
+
+            body.start();
+            saw.start();
+            return { body, saw, edge, output };
+        });
+
+        this.nodes = { master, filter, lfo, noise, noiseGain };
+    },
+
+    /**
+     * Stop every source and disconnect the graph
+     */
+    teardown() {
+        if (!this.nodes) return;
+
+        const { master, lfo, noise } = this.nodes;
+        [lfo, noise, ...this.voices.flatMap(voice => [voice.body, voice.saw])].forEach(source => source.stop());
+        master.disconnect();
+
+        this.nodes = null;
+        this.voices = [];
+    },
+
+    /**
+     * Glide the voices to the next chord of the progression and schedule the one after
+     * @param {boolean} [immediate=false] - Jump straight to the pitches (on start)
+     */
+    playChord(immediate = false) {
+        clearTimeout(this.chordTimer);
+
+        const { scale } = this.sound;
+        const root = this.sound.root + (this.track.octave || 0) * 12;
+        const progression = this.track.progression || this.progression;
+        const degree = progression[this.step % progression.length];
+
+        // Seventh chord stacked in thirds, the bass note an octave down
+        this.voices.forEach((voice, index) => {
+            const position = degree + index * 2;
+            const octave = Math.floor(position / scale.length) - (index === 0 ? 1 : 0);
+            const midi = root + scale[position % scale.length] + octave * 12;
+            const frequency = 440 * 2 ** ((midi - 69) / 12);
+
+            [voice.body, voice.saw].forEach(oscillator => {
+                if (immediate) {
+                    oscillator.frequency.value = frequency;
+                } else {
+                    this.rampTo(oscillator.frequency, frequency, this.glide);
+                }
+            });
+        });
+
+        this.step++;
+        this.chordTimer = setTimeout(() => this.playChord(), (this.track.chordDuration || this.chordDuration) * 1000);
+    },
+
+    /**
+     * Smoothly move an AudioParam to a value
+     * @param {AudioParam} param - Parameter to move
+     * @param {number} value - Target value
+     * @param {number} duration - Roughly how long the move takes, in seconds
+     */
+    rampTo(param, value, duration) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.setTargetAtTime(value, now, duration / 3);
+    },
+
+    /**
+     * Stereo impulse response of decaying noise, for the convolution reverb
+     * @param {number} seconds - Reverb tail length
+     * @returns {AudioBuffer}
+     */
+    createImpulse(seconds) {
+        const { sampleRate } = this.context;
+        const length = sampleRate * seconds;
+        const buffer = this.context.createBuffer(2, length, sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * (1 - i / length) ** 3;
+            }
+        }
+        return buffer;
+    },
+
+    /**
+     * @param {number} seconds - Buffer length
+     * @returns {AudioBuffer} Mono white noise
+     */
+    createNoise(seconds) {
+        const { sampleRate } = this.context;
+        const buffer = this.context.createBuffer(1, sampleRate * seconds, sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    },
+
+    /**
+     * @param {string} hex - Color like "#8B5CF6"
+     * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness from 0 to 1
+     */
+    toHsl(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        const [r, g, b] = [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (!d) return { h: 0, s: 0, l };
+
+        const s = d / (1 - Math.abs(2 * l - 1));
+        let h;
+        if (max === r) {
+            h = ((g - b) / d) % 6;
+        } else if (max === g) {
+            h = (b - r) / d + 2;
+        } else {
+            h = (r - g) / d + 4;
+        }
+        return { h: (h * 60 + 360) % 360, s, l };
+    }
+};
+
+// Export for use in other modules
+window.AmbientSynth = AmbientSynth;
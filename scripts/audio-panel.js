@@ -0,0 +1,221 @@
+/**
+ * audio-panel.js - Audio Control Panel
+ * Nav dropdown with volume sliders, the playlist and a theme-tinted visualizer
+ */
+
+const AudioPanel = {
+    panel: null,
+    expand: null,
+    canvas: null,
+    isOpen: false,
+    frame: null,
+    colors: null,
+    // Frequency bins drawn as bars (the low end, where the ambient pads live)
+    bars: 32,
+
+    /**
+     * Initialize the panel controls
+     */
+    init() {
+        this.panel = document.querySelector('.audio-panel');
+        this.expand = document.querySelector('.audio-controls__expand');
+        if (!this.panel || !this.expand || !window.AudioManager) return;
+
+        this.canvas = this.panel.querySelector('.audio-panel__visualizer');
+
+        this.renderTracks();
+        this.sync();
+        this.setupEventListeners();
+
+        console.log('🎚️ Audio Panel initialized');
+    },
+
+    /**
+     * Set up open/close, transport, sliders and playlist
+     */
+    setupEventListeners() {
+        const audio = window.AudioManager;
+
+        this.expand.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setOpen(!this.isOpen);
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            e.stopPropagation();
+
+            const action = e.target.closest('[data-audio-action]')?.getAttribute('data-audio-action');
+            if (action === 'toggle') {
+                audio.toggle();
+            } else if (action === 'previous') {
+                audio.previousTrack();
+            } else if (action === 'next') {
+                audio.nextTrack();
+            }
+
+            const track = e.target.closest('[data-track]');
+            if (track) {
+                audio.selectTrack(Number(track.getAttribute('data-track')));
+            }
+        });
+
+        this.panel.querySelector('.audio-panel__volume').addEventListener('input', (e) => {
+            audio.setVolume(e.target.value / 100);
+        });
+        this.panel.querySelector('.audio-panel__sfx-volume').addEventListener('input', (e) => {
+            audio.setSfxVolume(e.target.value / 100);
+        });
+        this.panel.querySelector('.audio-panel__sfx-mute').addEventListener('change', (e) => {
+            audio.setSfxMuted(e.target.checked);
+        });
+
+        // Close when clicking outside, or with Escape from inside the panel
+        document.addEventListener('click', () => this.setOpen(false));
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setOpen(false);
+                this.expand.focus();
+            }
+        });
+
+        ['audio:play', 'audio:pause', 'audio:volume', 'audio:track', 'audio:sfx'].forEach(event => {
+            EventBus.on(event, () => this.sync());
+        });
+
+        EventBus.on('storage:changed', ({ key }) => {
+            if (key === audio.storageKey) this.sync();
+        });
+
+        // Bars take the theme's gradient (from the registry, as the CSS may still be mid-transition)
+        EventBus.on('theme:changed', ({ data }) => {
+            this.colors = [data.primary, data.secondary];
+        });
+    },
+
+    /**
+     * Open or close the panel
+     * @param {boolean} open - Whether the panel should be open
+     */
+    setOpen(open) {
+        if (open === this.isOpen) return;
+
+        this.isOpen = open;
+        this.panel.hidden = !open;
+        this.expand.setAttribute('aria-expanded', open);
+
+        if (open) {
+            this.sync();
+            this.resizeCanvas();
+            this.draw();
+
+            if (typeof gsap !== 'undefined') {
+                gsap.fromTo(this.panel, { y: -10, opacity: 0 }, { y: 0, opacity: 1, duration: 0.25, ease: 'power2.out' });
+            }
+        } else {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    },
+
+    /**
+     * List the playlist entries
+     */
+    renderTracks() {
+        const list = this.panel.querySelector('.audio-panel__tracks');
+        list.innerHTML = '';
+
+        window.AudioManager.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'audio-panel__track';
+            button.setAttribute('data-track', index);
+            button.textContent = track.title;
+
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Reflect AudioManager's state in the controls
+     */
+    sync() {
+        const audio = window.AudioManager;
+        const track = audio.getTrack();
+
+        this.panel.querySelector('.audio-panel__title').textContent = track.title;
+        this.panel.querySelector('.audio-panel__source').textContent =
+            audio.unplayable.has(track.id) ? 'Generated live' : '';
+
+        const play = this.panel.querySelector('.audio-panel__button--play');
+        play.setAttribute('data-playing', audio.isPlaying);
+        play.setAttribute('aria-label', audio.isPlaying ? 'Pause' : 'Play');
+
+        this.panel.querySelector('.audio-panel__volume').value = Math.round(audio.volume * 100);
+        this.panel.querySelector('.audio-panel__sfx-volume').value = Math.round(audio.sfx.volume * 100);
+        this.panel.querySelector('.audio-panel__sfx-mute').checked = audio.sfx.muted;
+
+        this.panel.querySelectorAll('.audio-panel__track').forEach(button => {
+            const isCurrent = Number(button.getAttribute('data-track')) === audio.trackIndex;
+            if (isCurrent) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    },
+
+    /**
+     * Match the canvas resolution to its size on screen
+     */
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.canvas.clientWidth * ratio;
+        this.canvas.height = this.canvas.clientHeight * ratio;
+    },
+
+    /**
+     * Draw the frequency bars, every frame while the panel is open
+     */
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) return;
+
+        const { width, height } = this.canvas;
+        const analyser = window.AudioManager.isPlaying ? window.AudioManager.mixer?.analyser : null;
+        const data = new Uint8Array(this.bars);
+        if (analyser) {
+            const bins = new Uint8Array(analyser.frequencyBinCount);
+            analyser.getByteFrequencyData(bins);
+            data.set(bins.subarray(0, this.bars));
+        }
+
+        if (!this.colors) {
+            const theme = window.ThemeManager?.getCurrentTheme();
+            this.colors = theme ? [theme.primary, theme.secondary] : ['#8B5CF6', '#F472B6'];
+        }
+        const gradient = ctx.createLinearGradient(0, 0, width, 0);
+        gradient.addColorStop(0, this.colors[0]);
+        gradient.addColorStop(1, this.colors[1]);
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = gradient;
+
+        const gap = 2 * (window.devicePixelRatio || 1);
+        const barWidth = (width - gap * (this.bars - 1)) / this.bars;
+        data.forEach((value, index) => {
+            // Keep a sliver visible so the idle panel still shows the bars
+            const barHeight = Math.max(gap, (value / 255) * height);
+            ctx.fillRect(index * (barWidth + gap), height - barHeight, barWidth, barHeight);
+        });
+
+        // A single still frame under reduced motion
+        if (this.isOpen && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.frame = requestAnimationFrame(() => this.draw());
+        }
+    }
+};
+
+// Export for use in other modules
+window.AudioPanel = AudioPanel;
@@ -7,8 +7,126 @@ const AudioManager = {
     audio: null,
     isPlaying: false,
     volume: 0.3,
-    storageKey: 'metalayer-audio',
-    audioSrc: 'assets/audio/ambient.mp3', // Will be replaced with actual audio
+    storageKey: 'audio',
+
+    /**
+     * Playlist. Tracks whose file is missing are generated by AmbientSynth,
+     * using `synth` to give each one its own progression, pace and register.
+     */
+    tracks: [
+        { id: 'ambient', title: 'Metalayer Ambient', src: 'assets/audio/ambient.mp3', synth: {} },
+        {
+            id: 'drift',
+            title: 'Nebula Drift',
+            src: 'assets/audio/drift.mp3',
+            synth: { progression: [0, 3, 5, 4], chordDuration: 14, octave: -1 }
+        },
+        {
+            id: 'pulse',
+            title: 'Circuit Pulse',
+            src: 'assets/audio/pulse.mp3',
+            synth: { progression: [0, 4, 5, 3], chordDuration: 6, octave: 1 }
+        }
+    ],
+    trackIndex: 0,
+    // Tracks whose file failed to play
+    unplayable: new Set(),
+    // Whether the current track is being generated rather than streamed
+    useSynth: false,
+    // Play a short chime on level-up while the soundtrack is on
+    levelUpChime: true,
+    context: null,
+    // Set while play() is starting a source, so a second call can't start another
+    starting: false,
+
+    // Where the streamed track was, saved every `positionInterval` ms so a reload picks up from there
+    position: 0,
+    positionInterval: 5000,
+    positionTimer: null,
+    // Seconds to fade in from silence when resuming after a reload
+    resumeFade: 3,
+
+    /**
+     * Adaptive mix: each section's low-pass cutoff (Hz) and level, crossfaded as the visitor scrolls.
+     * The prologue opens up towards its peak values as its pinned story is scrolled.
+     */
+    adaptiveMix: true,
+    sections: {
+        hero: { cutoff: 12000, level: 1 },
+        nexus: { cutoff: 5000, level: 0.85 },
+        vault: { cutoff: 2200, level: 0.75 },
+        prologue: { cutoff: 900, level: 0.8, peakCutoff: 14000, peakLevel: 1 },
+        about: { cutoff: 3200, level: 0.7 },
+        contact: { cutoff: 7000, level: 0.9 }
+    },
+    crossfade: 1.2,
+    // Level while the tab is hidden
+    duckLevel: 0.15,
+    ducked: false,
+    mixer: null,
+    mediaSource: null,
+    section: 'hero',
+    prologueProgress: 0,
+
+    // UI sound effects: a separate channel with its own volume and mute
+    sfx: {
+        volume: 0.5,
+        muted: false,
+        gain: null,
+        buffers: {},
+        lastPlayed: {}
+    },
+
+    /**
+     * Sound effects, rendered once into AudioBuffers on first use.
+     * `interval` is the minimum gap in ms between two plays, so fast sweeps don't pile up.
+     */
+    sfxSounds: {
+        // Soft blip on magnetic hover
+        hover: {
+            duration: 0.05,
+            interval: 90,
+            render: (t, d) => Math.sin(2 * Math.PI * 1500 * t) * 0.15 * (1 - t / d) ** 2
+        },
+        // Short tick for buttons
+        click: {
+            duration: 0.03,
+            interval: 40,
+            render: (t) => (Math.sin(2 * Math.PI * 900 * t) + (Math.random() - 0.5) * 0.3) * 0.3 * Math.exp(-t * 150)
+        },
+        // Two-note bell for achievement toasts
+        unlock: {
+            duration: 0.6,
+            interval: 300,
+            render: (t) => {
+                const bell = (start, frequency) => t < start ? 0
+                    : (Math.sin(2 * Math.PI * frequency * (t - start)) + Math.sin(4 * Math.PI * frequency * (t - start)) * 0.3)
+                        * Math.exp(-(t - start) * 6);
+                return (bell(0, 880) + bell(0.12, 1318.51)) * 0.15;
+            }
+        },
+        // Rising whoosh for prologue panels: white noise through a one-pole low-pass that opens up
+        panel: {
+            duration: 0.3,
+            interval: 150,
+            render: (() => {
+                let smoothed = 0;
+                return (t, d) => {
+                    smoothed += (0.02 + 0.2 * (t / d)) * ((Math.random() * 2 - 1) - smoothed);
+                    return smoothed * Math.sin(Math.PI * t / d) * 0.6;
+                };
+            })()
+        },
+        // Staggered shimmer for theme switches
+        theme: {
+            duration: 0.45,
+            interval: 150,
+            render: (t) => [523.25, 783.99, 1046.5].reduce((sum, frequency, index) => {
+                const start = index * 0.04;
+                return t < start ? sum : sum + Math.sin(2 * Math.PI * frequency * (t - start)) * Math.exp(-(t - start) * 8);
+            }, 0) * 0.08
+        }
+    },
 
     /**
      * Initialize the audio system
@@ -24,38 +142,38 @@ const AudioManager = {
 
         // Set up event listeners
         this.setupEventListeners();
+        this.setupMediaSession();
 
         console.log('🔊 Audio Manager initialized');
     },
 
     /**
-     * Load saved audio state from localStorage
+     * Load saved audio state
      */
     loadState() {
-        try {
-            const savedState = localStorage.getItem(this.storageKey);
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                this.volume = state.volume || 0.3;
-                this.audio.volume = this.volume;
-            }
-        } catch (e) {
-            console.warn('Could not load audio state:', e);
+        const state = Store.get(this.storageKey);
+        if (state) {
+            // 0 is a real choice on the Music slider, not a missing value
+            this.volume = Number.isFinite(state.volume) ? state.volume : 0.3;
+            this.audio.volume = this.volume;
+            this.sfx.volume = state.sfx?.volume ?? this.sfx.volume;
+            this.sfx.muted = !!state.sfx?.muted;
+            this.trackIndex = Math.max(0, this.tracks.findIndex(t => t.id === state.track));
+            this.position = state.position || 0;
         }
     },
 
     /**
-     * Save audio state to localStorage
+     * Save audio state
      */
     saveState() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify({
-                volume: this.volume,
-                wasPlaying: this.isPlaying
-            }));
-        } catch (e) {
-            console.warn('Could not save audio state:', e);
-        }
+        Store.set(this.storageKey, {
+            volume: this.volume,
+            wasPlaying: this.isPlaying,
+            track: this.getTrack().id,
+            position: this.position,
+            sfx: { volume: this.sfx.volume, muted: this.sfx.muted }
+        });
     },
 
     /**
@@ -70,28 +188,116 @@ const AudioManager = {
             });
         }
 
-        // Also allow first interaction to enable audio
-        document.addEventListener('click', () => this.onFirstInteraction(), { once: true });
-        document.addEventListener('keydown', () => this.onFirstInteraction(), { once: true });
+        // Duck while the tab is hidden
+        EventBus.on('page:visibility', ({ hidden }) => this.duck(hidden));
+
+        // Crossfade to each section's mix, and open up the prologue as it's scrolled
+        EventBus.on('section:enter', ({ id }) => {
+            if (id === this.section || !this.sections[id]) return;
+            this.section = id;
+            this.applySectionMix();
+        });
+
+        EventBus.on('prologue:progress', ({ progress }) => {
+            this.prologueProgress = progress;
+            if (this.section === 'prologue') {
+                this.applySectionMix(0.1);
+            }
+        });
+
+        // Follow volume changes from other tabs (playback stays per-tab)
+        EventBus.on('storage:changed', ({ key, value }) => {
+            if (key === this.storageKey && typeof value?.volume === 'number') {
+                this.volume = value.volume;
+                this.setOutputVolume(this.volume);
+            }
+            if (key === this.storageKey && value?.sfx) {
+                this.sfx.volume = value.sfx.volume ?? this.sfx.volume;
+                this.sfx.muted = !!value.sfx.muted;
+                this.updateSfxGain();
+            }
+        });
+
+        // The generated soundtrack changes key and timbre with the theme
+        EventBus.on('theme:changed', ({ data }) => {
+            window.AmbientSynth?.setTheme(data);
+        });
+
+        EventBus.on('level:up', () => {
+            if (this.isPlaying && this.levelUpChime) {
+                this.playChime();
+            }
+        });
+
+        // Also allow first interaction to enable audio (capturing, as menus stop click propagation)
+        const onGesture = (e) => {
+            if (!this.isActivation(e)) return;
+            document.removeEventListener('click', onGesture, { capture: true });
+            document.removeEventListener('keydown', onGesture, { capture: true });
+            this.onFirstInteraction();
+        };
+        document.addEventListener('click', onGesture, { capture: true });
+        document.addEventListener('keydown', onGesture, { capture: true });
+
+        // Shown when the browser still blocks the resumed soundtrack
+        const resumePrompt = document.querySelector('.audio-resume');
+        if (resumePrompt) {
+            resumePrompt.addEventListener('click', (e) => {
+                if (e.target.closest('.audio-resume__play')) {
+                    this.play({ fade: this.resumeFade });
+                } else if (e.target.closest('.audio-resume__dismiss')) {
+                    // Not now: stop offering it on later visits too
+                    this.hideResumePrompt();
+                    this.saveState();
+                }
+            });
+        }
+
+        // Keep the spot in the track for the next visit
+        window.addEventListener('pagehide', () => this.savePosition());
+
+        // Sound effects
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('button, [role="button"], .btn')) {
+                this.playSfx('click');
+            }
+        }, { capture: true });
+
+        // Unlocks synced from another tab were already heard there
+        EventBus.on('achievement:unlocked', ({ synced }) => {
+            if (!synced) this.playSfx('unlock');
+        });
+
+        EventBus.on('prologue:panel', () => this.playSfx('panel'));
+
+        EventBus.on('theme:changed', ({ manual }) => {
+            if (manual) {
+                this.playSfx('theme');
+            }
+        });
+    },
+
+    /**
+     * Whether an event lets the page start audio under autoplay policies
+     * (modifier keys and Escape don't count as a gesture)
+     * @param {Event} e - Click or keydown
+     * @returns {boolean}
+     */
+    isActivation(e) {
+        return e.type !== 'keydown' || !['Escape', 'Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
     },
 
     /**
      * Handle first user interaction (for autoplay policies)
      */
     onFirstInteraction() {
-        // Check if user had audio enabled before
-        try {
-            const savedState = localStorage.getItem(this.storageKey);
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                if (state.wasPlaying) {
-                    // Don't auto-play, just prepare
-                    this.audio.src = this.audioSrc;
-                    this.audio.load();
-                }
-            }
-        } catch (e) {
-            // Ignore errors
+        // Browsers only start Web Audio after a gesture, so sound effects wait for this
+        this.getContext()?.resume();
+
+        // Pick the soundtrack back up if it was on when the visitor left
+        const state = Store.get(this.storageKey);
+        if (state?.wasPlaying) {
+            this.play({ fade: this.resumeFade });
         }
     },
 
@@ -108,29 +314,158 @@ const AudioManager = {
 
     /**
      * Start playing audio
+     * @param {Object} [options]
+     * @param {number} [options.fade] - Seconds to fade in from silence (when resuming)
      */
-    async play() {
+    async play({ fade } = {}) {
+        if (this.isPlaying || this.starting) return;
+        this.starting = true;
+
         try {
-            // Load source if not loaded
-            if (!this.audio.src || this.audio.src === window.location.href) {
-                this.audio.src = this.audioSrc;
+            if (fade) {
+                this.fadeIn(fade);
             }
-
-            await this.audio.play();
+            await this.startSource();
             this.isPlaying = true;
+            this.hideResumePrompt();
             this.updateUI();
             this.saveState();
+            this.trackPosition();
 
-            // Trigger achievement
-            if (window.AchievementManager) {
-                window.AchievementManager.unlock('audiophile');
-            }
+            EventBus.emit('audio:play', { volume: this.volume });
 
             console.log('🔊 Audio playing');
         } catch (e) {
-            console.warn('Could not play audio:', e);
-            // Audio file might not exist yet
-            this.showAudioNotice();
+            // Autoplay still blocked: ask instead of failing silently
+            if (e.name === 'NotAllowedError') {
+                this.showResumePrompt();
+            } else {
+                console.warn('Could not play audio:', e);
+                this.showAudioNotice();
+            }
+        } finally {
+            this.starting = false;
+        }
+    },
+
+    /**
+     * Start the current track, generating it when its file can't be played
+     */
+    async startSource() {
+        const track = this.getTrack();
+        await this.unlockContext();
+
+        if (!this.unplayable.has(track.id)) {
+            try {
+                // Load source if not loaded
+                if (this.audio.getAttribute('src') !== track.src) {
+                    this.audio.src = track.src;
+                }
+
+                // Pick up where the last visit left off
+                if (this.position && Math.abs(this.audio.currentTime - this.position) > 1) {
+                    this.seek(this.position);
+                }
+
+                this.connectMedia();
+                await this.audio.play();
+                this.useSynth = false;
+                return;
+            } catch (e) {
+                // A missing or unplayable file (not a blocked autoplay) switches to the generated soundtrack
+                if (e.name === 'NotAllowedError' || !this.canSynthesize()) throw e;
+
+                console.warn(`Could not play ${track.src}, generating the soundtrack instead:`, e);
+                this.unplayable.add(track.id);
+            }
+        }
+
+        this.useSynth = true;
+        window.AmbientSynth.setTrack(track.synth);
+        await window.AmbientSynth.play({
+            context: this.getContext(),
+            destination: this.getMixer().input,
+            volume: this.volume
+        });
+    },
+
+    /**
+     * Resume the shared context, failing like a blocked play() while the browser won't allow it
+     */
+    async unlockContext() {
+        const context = this.getContext();
+        if (!context || context.state === 'running') return;
+
+        // resume() can stay pending until there's a gesture, so only wait briefly
+        await Promise.race([context.resume(), new Promise(resolve => setTimeout(resolve, 500))]);
+        if (context.state !== 'running') {
+            throw new DOMException('Audio needs a click or key press first', 'NotAllowedError');
+        }
+    },
+
+    /**
+     * Jump the streamed track to a position, once it's known how long the file is
+     * @param {number} position - Seconds from the start
+     */
+    seek(position) {
+        if (this.audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            this.audio.currentTime = position;
+        } else {
+            this.audio.addEventListener('loadedmetadata', () => {
+                this.audio.currentTime = position;
+            }, { once: true });
+        }
+    },
+
+    /**
+     * Bring the soundtrack up from silence to the saved volume
+     * @param {number} duration - Seconds to fade over
+     */
+    fadeIn(duration) {
+        if (this.getMixer()) {
+            const { gain } = this.mixer.input;
+            const now = this.context.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(0, now);
+            gain.setTargetAtTime(1, now, duration / 3);
+        } else if (typeof gsap !== 'undefined') {
+            // Without Web Audio, fade the element itself
+            gsap.fromTo(this.audio, { volume: 0 }, { volume: this.audio.volume, duration, ease: 'power1.out' });
+        }
+    },
+
+    /**
+     * Save the streamed track's position every few seconds while it plays
+     */
+    trackPosition() {
+        clearInterval(this.positionTimer);
+        if (this.isPlaying && !this.useSynth) {
+            this.positionTimer = setInterval(() => this.savePosition(), this.positionInterval);
+        }
+    },
+
+    /**
+     * Remember how far into the streamed track playback is
+     */
+    savePosition() {
+        if (!this.isPlaying || this.useSynth) return;
+
+        this.position = this.audio.currentTime;
+
+        // Only the position: the rest may have just been replaced, e.g. by a save import reloading the page
+        const state = Store.get(this.storageKey, {});
+        if (state.track && state.track !== this.getTrack().id) return;
+        Store.set(this.storageKey, { ...state, position: this.position });
+    },
+
+    /**
+     * Stop whichever source is playing the current track
+     */
+    stopSource() {
+        if (this.useSynth) {
+            window.AmbientSynth.pause();
+        } else {
+            this.audio.pause();
         }
     },
 
@@ -138,21 +473,363 @@ const AudioManager = {
      * Pause audio
      */
     pause() {
-        this.audio.pause();
+        this.savePosition();
+        this.stopSource();
         this.isPlaying = false;
+        this.trackPosition();
         this.updateUI();
         this.saveState();
+
+        EventBus.emit('audio:pause');
         console.log('🔇 Audio paused');
     },
 
+    /**
+     * @returns {Object} Current playlist entry
+     */
+    getTrack() {
+        return this.tracks[this.trackIndex];
+    },
+
+    /**
+     * Switch tracks, carrying on playing if the soundtrack is on
+     * @param {number} index - Playlist position (wraps around)
+     */
+    async selectTrack(index) {
+        const next = (index + this.tracks.length) % this.tracks.length;
+        if (next === this.trackIndex) return;
+
+        if (this.isPlaying) {
+            this.stopSource();
+        }
+        this.trackIndex = next;
+        this.position = 0;
+        this.saveState();
+        this.updateMediaSession();
+
+        EventBus.emit('audio:track', { track: this.getTrack(), index: next });
+
+        if (this.isPlaying) {
+            try {
+                await this.startSource();
+                this.trackPosition();
+            } catch (e) {
+                console.warn('Could not play audio:', e);
+                this.pause();
+            }
+        }
+    },
+
+    /**
+     * Next track in the playlist
+     */
+    nextTrack() {
+        return this.selectTrack(this.trackIndex + 1);
+    },
+
+    /**
+     * Previous track in the playlist
+     */
+    previousTrack() {
+        return this.selectTrack(this.trackIndex - 1);
+    },
+
+    /**
+     * Let OS media keys and lock-screen controls drive the soundtrack
+     */
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const actions = {
+            play: () => this.play(),
+            pause: () => this.pause(),
+            stop: () => this.pause(),
+            previoustrack: () => this.previousTrack(),
+            nexttrack: () => this.nextTrack()
+        };
+
+        Object.entries(actions).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch (e) {
+                // Action not supported by this browser
+            }
+        });
+
+        this.updateMediaSession();
+    },
+
+    /**
+     * Publish the current track and playback state to the Media Session
+     */
+    updateMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        if (typeof MediaMetadata !== 'undefined') {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: this.getTrack().title,
+                artist: 'Metagame Layer Portal',
+                album: 'Ambient'
+            });
+        }
+        navigator.mediaSession.playbackState = this.isPlaying ? 'playing' : 'paused';
+    },
+
     /**
      * Set volume
      * @param {number} value - Volume from 0 to 1
      */
     setVolume(value) {
         this.volume = Math.max(0, Math.min(1, value));
-        this.audio.volume = this.volume;
+        this.setOutputVolume(this.volume);
         this.saveState();
+
+        EventBus.emit('audio:volume', { volume: this.volume });
+    },
+
+    /**
+     * Set what is actually heard, without changing the saved volume
+     * @param {number} value - Volume from 0 to 1
+     */
+    setOutputVolume(value) {
+        // Without the mixer, ducking has to happen on the element itself
+        this.audio.volume = value * (!this.mixer && this.ducked ? this.duckLevel : 1);
+        window.AmbientSynth?.setVolume(value);
+    },
+
+    /**
+     * Lower the soundtrack while the tab is hidden, and bring it back after
+     * @param {boolean} ducked - Whether to duck
+     */
+    duck(ducked) {
+        this.ducked = ducked;
+        if (this.mixer) {
+            this.rampTo(this.mixer.duck.gain, ducked ? this.duckLevel : 1, 0.5);
+        } else {
+            this.setOutputVolume(this.volume);
+        }
+    },
+
+    /**
+     * Mixer both soundtracks play through: input → low-pass → section level → duck → analyser → speakers
+     * @returns {Object|null} { input, filter, level, duck, analyser } nodes, or null without Web Audio
+     */
+    getMixer() {
+        if (!this.mixer && this.getContext()) {
+            const ctx = this.context;
+            const input = ctx.createGain();
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.Q.value = 0.7;
+            const level = ctx.createGain();
+            const duck = ctx.createGain();
+            duck.gain.value = this.ducked ? this.duckLevel : 1;
+            // Taps the final mix for the audio panel's visualizer
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 256;
+
+            input.connect(filter).connect(level).connect(duck).connect(analyser).connect(ctx.destination);
+            this.mixer = { input, filter, level, duck, analyser };
+            this.applySectionMix(0);
+        }
+        return this.mixer;
+    },
+
+    /**
+     * Route the MP3 through the mixer (an element can only be connected once)
+     */
+    connectMedia() {
+        if (this.mediaSource || !this.getMixer()) return;
+
+        try {
+            this.mediaSource = this.context.createMediaElementSource(this.audio);
+            this.mediaSource.connect(this.mixer.input);
+        } catch (e) {
+            console.warn('Could not route the soundtrack through the mixer:', e);
+        }
+
+        // Resuming needs the click/keypress that called play()
+        this.context.resume();
+    },
+
+    /**
+     * Move the mixer to the current section's preset
+     * @param {number} [duration=this.crossfade] - Seconds to crossfade over
+     */
+    applySectionMix(duration = this.crossfade) {
+        if (!this.mixer) return;
+
+        const preset = (this.adaptiveMix && this.sections[this.section]) || { cutoff: 20000, level: 1 };
+        let { cutoff, level } = preset;
+
+        // Intensity layer: exponential sweep sounds even across the frequency range
+        if (preset.peakCutoff) {
+            const progress = this.prologueProgress;
+            cutoff *= (preset.peakCutoff / cutoff) ** progress;
+            level += (preset.peakLevel - level) * progress;
+        }
+
+        this.rampTo(this.mixer.filter.frequency, cutoff, duration);
+        this.rampTo(this.mixer.level.gain, level, duration);
+    },
+
+    /**
+     * Smoothly move an AudioParam to a value
+     * @param {AudioParam} param - Parameter to move
+     * @param {number} value - Target value
+     * @param {number} duration - Roughly how long the move takes, in seconds (0 jumps)
+     */
+    rampTo(param, value, duration) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        if (duration) {
+            param.setValueAtTime(param.value, now);
+            param.setTargetAtTime(value, now, duration / 3);
+        } else {
+            param.setValueAtTime(value, now);
+        }
+    },
+
+    /**
+     * Shared Web Audio context for the generated soundtrack and chimes, created on first use
+     * @returns {AudioContext|null} Null when the browser has no Web Audio support
+     */
+    getContext() {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return null;
+
+        this.context = this.context || new Context();
+        return this.context;
+    },
+
+    /**
+     * @returns {boolean} Whether the soundtrack can be generated in this browser
+     */
+    canSynthesize() {
+        return !!window.AmbientSynth && !!(window.AudioContext || window.webkitAudioContext);
+    },
+
+    /**
+     * Play a sound effect, unless muted or played too recently
+     * @param {string} name - Key of sfxSounds, e.g. 'hover'
+     */
+    playSfx(name) {
+        const sound = this.sfxSounds[name];
+        // Never create the context here: it needs a click or key press first
+        const context = this.context;
+        if (!sound || !context || context.state !== 'running') return;
+        if (this.sfx.muted || !this.sfx.volume || document.hidden) return;
+
+        const now = performance.now();
+        if (now - (this.sfx.lastPlayed[name] || 0) < sound.interval) return;
+        this.sfx.lastPlayed[name] = now;
+
+        const source = context.createBufferSource();
+        source.buffer = this.getSfxBuffer(name);
+        source.connect(this.getSfxGain());
+        source.start();
+    },
+
+    /**
+     * Render a sound effect into an AudioBuffer the first time it's needed
+     * @param {string} name - Key of sfxSounds
+     * @returns {AudioBuffer}
+     */
+    getSfxBuffer(name) {
+        if (!this.sfx.buffers[name]) {
+            const { duration, render } = this.sfxSounds[name];
+            const { sampleRate } = this.context;
+            const buffer = this.context.createBuffer(1, Math.ceil(sampleRate * duration), sampleRate);
+            const data = buffer.getChannelData(0);
+
+            for (let i = 0; i < data.length; i++) {
+                data[i] = render(i / sampleRate, duration);
+            }
+            this.sfx.buffers[name] = buffer;
+        }
+        return this.sfx.buffers[name];
+    },
+
+    /**
+     * Gain node every sound effect plays through
+     * @returns {GainNode}
+     */
+    getSfxGain() {
+        if (!this.sfx.gain) {
+            this.sfx.gain = this.context.createGain();
+            this.sfx.gain.connect(this.context.destination);
+            this.updateSfxGain();
+        }
+        return this.sfx.gain;
+    },
+
+    /**
+     * Apply the sound effect volume and mute to the channel
+     */
+    updateSfxGain() {
+        if (this.sfx.gain) {
+            this.sfx.gain.gain.value = this.sfx.muted ? 0 : this.sfx.volume;
+        }
+    },
+
+    /**
+     * Set the sound effect volume (independent of the soundtrack)
+     * @param {number} value - Volume from 0 to 1
+     */
+    setSfxVolume(value) {
+        this.sfx.volume = Math.max(0, Math.min(1, value));
+        this.updateSfxGain();
+        this.saveState();
+
+        EventBus.emit('audio:sfx', { volume: this.sfx.volume, muted: this.sfx.muted });
+    },
+
+    /**
+     * Mute or unmute sound effects
+     * @param {boolean} muted - Whether sound effects are muted
+     */
+    setSfxMuted(muted) {
+        this.sfx.muted = muted;
+        this.updateSfxGain();
+        this.saveState();
+
+        EventBus.emit('audio:sfx', { volume: this.sfx.volume, muted: this.sfx.muted });
+
+        console.log(muted ? '🔇 Sound effects muted' : '🔊 Sound effects on');
+    },
+
+    /**
+     * Toggle sound effects
+     */
+    toggleSfx() {
+        this.setSfxMuted(!this.sfx.muted);
+        this.playSfx('click');
+    },
+
+    /**
+     * Play a rising three-note chime with the Web Audio API
+     */
+    playChime() {
+        if (!this.getContext()) return;
+
+        const start = this.context.currentTime;
+
+        // C5, E5, G5
+        [523.25, 659.25, 783.99].forEach((frequency, index) => {
+            const time = start + index * 0.12;
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+
+            oscillator.type = 'triangle';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, time);
+            gain.gain.exponentialRampToValueAtTime(Math.max(this.volume, 0.05), time + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.6);
+
+            oscillator.connect(gain).connect(this.context.destination);
+            oscillator.start(time);
+            oscillator.stop(time + 0.6);
+        });
     },
 
     /**
@@ -163,35 +840,55 @@ const AudioManager = {
         if (toggleBtn) {
             toggleBtn.setAttribute('data-playing', this.isPlaying);
         }
+        this.updateMediaSession();
+    },
+
+    /**
+     * Offer to resume the soundtrack when the browser blocked starting it
+     */
+    showResumePrompt() {
+        const prompt = document.querySelector('.audio-resume');
+        if (!prompt || !prompt.hidden) return;
+
+        prompt.hidden = false;
+        if (typeof gsap !== 'undefined') {
+            gsap.fromTo(prompt, { y: -10, opacity: 0 }, { y: 0, opacity: 1, duration: 0.25, ease: 'power2.out' });
+        }
     },
 
     /**
-     * Show notice when audio file is not available
+     * Hide the resume prompt
+     */
+    hideResumePrompt() {
+        const prompt = document.querySelector('.audio-resume');
+        if (prompt) prompt.hidden = true;
+    },
+
+    /**
+     * Show notice when the browser can play neither the file nor the generated soundtrack
      */
     showAudioNotice() {
         // Create a temporary toast notification
-        if (window.AchievementManager) {
-            const container = document.querySelector('.achievement-container');
-            if (container) {
-                const toast = document.createElement('div');
-                toast.className = 'achievement-toast';
-                toast.innerHTML = `
-                    <div class="achievement-toast__icon">🎵</div>
-                    <div class="achievement-toast__content">
-                        <div class="achievement-toast__title">Audio Coming Soon</div>
-                        <div class="achievement-toast__text">Add ambient.mp3 to assets/audio/</div>
-                    </div>
-                `;
-                container.appendChild(toast);
-
-                // Show and hide toast
-                setTimeout(() => toast.classList.add('show'), 100);
-                setTimeout(() => {
-                    toast.classList.remove('show');
-                    setTimeout(() => toast.remove(), 300);
-                }, 3000);
-            }
-        }
+        const container = document.querySelector('.achievement-container');
+        if (!container) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <div class="achievement-toast__icon">🎵</div>
+            <div class="achievement-toast__content">
+                <div class="achievement-toast__title">Audio Unavailable</div>
+                <div class="achievement-toast__text">This browser can't play the soundtrack</div>
+            </div>
+        `;
+        container.appendChild(toast);
+
+        // Show and hide toast
+        setTimeout(() => toast.classList.add('show'), 100);
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
     }
 };
 
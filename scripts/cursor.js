@@ -22,9 +22,83 @@ const CursorManager = {
     ringXTo: null,
     ringYTo: null,
 
-    // Magnetic elements
-    magneticElements: [],
+    // Magnetic elements: the built-in selectors, plus anything with data-magnetic
+    selectors: [
+        '.btn--magnetic',
+        '.card--3d',
+        '.nav__link',
+        '.social-link',
+        '.theme-selector__toggle',
+        '.audio-toggle'
+    ],
+    // Pull towards the cursor (fraction of the distance), and the field radius in px around the
+    // element where the pull fades in; override per element with data-magnetic-strength/-radius
+    magnetDefaults: {
+        strength: 0.3,
+        radius: 60
+    },
+    // How far the ring leans towards the element pulling hardest (fraction of the distance)
+    ringStrength: 0.2,
+    // Registered elements → { strength, radius, rect, xTo, yTo }; entries go with their elements
+    magnetic: new WeakMap(),
+    // The same elements, for the frame loop to walk (removed elements are dropped by the observer)
+    magneticElements: new Set(),
+    activeMagnetic: new Set(),
+    observer: null,
     isHovering: false,
+    pointerInside: false,
+    // Cached rects: re-measured on scroll/resize, after DOM changes, and at most every
+    // `rectsMaxAge` ms while the pointer moves
+    rectsDirty: true,
+    rectsMeasuredAt: 0,
+    rectsMaxAge: 1000,
+    fieldDirty: false,
+
+    /**
+     * Contextual modes, declared per element with data-cursor="<mode>" and an optional
+     * data-cursor-label. Modes with a `label` turn the ring into a labeled bubble, `snap`
+     * wraps the ring around the element, `text` narrows it to a caret and `hidden` hides the cursor.
+     */
+    modes: {
+        view: { label: 'View' },
+        drag: { label: 'Drag' },
+        'link-external': { label: 'Open ↗' },
+        snap: { snap: true, padding: 6 },
+        text: {},
+        hidden: {}
+    },
+    // Text fields hide the cursor (so the caret stays in view) unless they declare a mode
+    textFields: 'textarea, [contenteditable="true"], input:not([type="button"], [type="checkbox"], [type="radio"], [type="range"], [type="submit"], [type="reset"], [type="color"], [type="file"])',
+    label: null,
+    mode: null,
+    modeTarget: null,
+
+    /**
+     * Cursor skins. Skins with a `trail` draw one behind the dot ('glow', 'pixel' or 'comet' style),
+     * `tip` skins put the dot's top-left corner on the pointer instead of its center, and
+     * `reward` skins unlock through ProgressionManager 'cursor-skin' rewards.
+     */
+    skins: [
+        { id: 'classic', name: 'Classic', icon: '⚪' },
+        { id: 'crosshair', name: 'Crosshair', icon: '🎯' },
+        { id: 'glow-orb', name: 'Glow Orb', icon: '🔮', trail: { style: 'glow', length: 12, size: 8 } },
+        { id: 'pixel-arrow', name: 'Pixel Arrow', icon: '👾', trail: { style: 'pixel', length: 10, size: 6 }, tip: true, reward: true },
+        { id: 'comet', name: 'Comet Trail', icon: '☄️', trail: { style: 'comet', length: 28, size: 8 }, reward: true }
+    ],
+    defaultSkin: 'classic',
+    storageKey: 'cursor',
+    // The visitor's pick (a locked pick shows the default until it unlocks)
+    skin: 'classic',
+
+    // Trail canvas, the dot positions of the last frames (newest first) and the theme's colors
+    trail: {
+        canvas: null,
+        context: null,
+        points: [],
+        colors: ['#8B5CF6', '#F472B6'],
+        running: false
+    },
+    reducedMotion: null,
 
     /**
      * Initialize the cursor system
@@ -39,6 +113,7 @@ const CursorManager = {
         this.cursor = document.querySelector('.cursor');
         this.dot = document.querySelector('.cursor__dot');
         this.ring = document.querySelector('.cursor__ring');
+        this.label = document.querySelector('.cursor__label');
 
         if (!this.cursor || !this.dot || !this.ring) {
             console.warn('Cursor elements not found');
@@ -53,11 +128,30 @@ const CursorManager = {
             this.ringYTo = gsap.quickTo(this.ring, 'y', { duration: 0.3, ease: 'power2.out' });
         }
 
+        this.trail.canvas = document.querySelector('.cursor-trail');
+        this.trail.context = this.trail.canvas?.getContext('2d') || null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.drawTrail = this.drawTrail.bind(this);
+
+        const theme = window.ThemeManager?.getCurrentTheme();
+        if (theme) {
+            this.trail.colors = [theme.primary, theme.secondary];
+        }
+
         // Set up event listeners
         this.setupEventListeners();
 
-        // Find magnetic elements
+        // Find magnetic elements and run their fields every frame
         this.findMagneticElements();
+        if (typeof gsap !== 'undefined') {
+            gsap.ticker.add(() => this.updateField());
+        }
+
+        // Saved skin
+        const saved = Store.get(this.storageKey);
+        this.skin = this.getSkin(saved) ? saved : this.defaultSkin;
+        this.applySkin();
+        this.renderMenu();
 
         console.log('🖱️ Custom cursor initialized');
     },
@@ -78,14 +172,25 @@ const CursorManager = {
         document.addEventListener('mousemove', (e) => {
             this.mouseX = e.clientX;
             this.mouseY = e.clientY;
+            this.pointerInside = true;
             this.updateCursor();
         });
 
+        // Contextual modes, delegated so elements rendered later (project cards, overlays) get them too
+        document.addEventListener('mouseover', (e) => this.updateMode(e.target));
+
         // Hide cursor when leaving window
         document.addEventListener('mouseleave', () => {
             gsap.to(this.cursor, { opacity: 0, duration: 0.3 });
+            this.pointerInside = false;
+            this.setMode(null);
         });
 
+        // Magnetic fields move with the page
+        window.addEventListener('scroll', () => {
+            this.rectsDirty = true;
+        }, { passive: true });
+
         document.addEventListener('mouseenter', () => {
             gsap.to(this.cursor, { opacity: 1, duration: 0.3 });
         });
@@ -98,49 +203,558 @@ const CursorManager = {
         document.addEventListener('mouseup', () => {
             gsap.to(this.ring, { scale: 1, duration: 0.2 });
         });
+
+        // Skin picker in the Vault
+        document.querySelector('.cursor-panel__options')?.addEventListener('change', (e) => {
+            this.setSkin(e.target.value);
+        });
+
+        // Trails take the theme's colors
+        EventBus.on('theme:changed', ({ data }) => {
+            this.trail.colors = [data.primary, data.secondary];
+        });
+
+        // Reward skins unlock (or a saved pick becomes usable) as the visitor levels up
+        EventBus.on('progression:changed', () => {
+            this.applySkin();
+            this.renderMenu();
+        });
+
+        // Follow skin changes from other tabs
+        EventBus.on('storage:changed', ({ key, value }) => {
+            if (key === this.storageKey && this.getSkin(value)) {
+                this.skin = value;
+                this.applySkin();
+                this.renderMenu();
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            this.rectsDirty = true;
+            this.resizeTrail();
+        });
+        this.reducedMotion.addEventListener('change', () => this.applySkin());
+    },
+
+    /**
+     * @param {string} id - Skin id
+     * @returns {Object|undefined} Skin entry
+     */
+    getSkin(id) {
+        return this.skins.find(skin => skin.id === id);
+    },
+
+    /**
+     * Check whether a skin can be picked (reward skins need their reward)
+     * @param {Object} skin - Skin entry
+     * @returns {boolean}
+     */
+    isAvailable(skin) {
+        return !skin.reward || !!window.ProgressionManager?.isRewardUnlocked('cursor-skin', skin.id);
+    },
+
+    /**
+     * The skin being shown: the visitor's pick, or the default while it's locked
+     * @returns {Object} Skin entry
+     */
+    getActiveSkin() {
+        const skin = this.getSkin(this.skin);
+        return skin && this.isAvailable(skin) ? skin : this.getSkin(this.defaultSkin);
+    },
+
+    /**
+     * Switch to a skin and remember it
+     * @param {string} id - Skin id
+     */
+    setSkin(id) {
+        const skin = this.getSkin(id);
+        if (!skin || !this.isAvailable(skin)) return;
+
+        this.skin = id;
+        Store.set(this.storageKey, id);
+        this.applySkin();
+        this.renderMenu();
+
+        console.log(`🖱️ Cursor skin: ${skin.name}`);
+    },
+
+    /**
+     * Show the active skin, starting or stopping its trail
+     */
+    applySkin() {
+        const skin = this.getActiveSkin();
+        this.cursor.setAttribute('data-skin', skin.id);
+
+        // quickTo keeps the dot centered with a -50% offset, which an arrow's tip doesn't want
+        if (typeof gsap !== 'undefined') {
+            gsap.set(this.dot, { xPercent: skin.tip ? 0 : -50, yPercent: skin.tip ? 0 : -50 });
+        }
+
+        const showTrail = !!skin.trail && !!this.trail.context && !this.reducedMotion.matches && typeof gsap !== 'undefined';
+        if (showTrail && !this.trail.running) {
+            this.resizeTrail();
+            gsap.ticker.add(this.drawTrail);
+        } else if (!showTrail && this.trail.running) {
+            gsap.ticker.remove(this.drawTrail);
+            this.clearTrail();
+        }
+        this.trail.running = showTrail;
+    },
+
+    /**
+     * List the skins in the Vault picker, locked ones with the level that unlocks them
+     */
+    renderMenu() {
+        const container = document.querySelector('.cursor-panel__options');
+        if (!container) return;
+
+        const active = this.getActiveSkin();
+        container.innerHTML = '';
+
+        this.skins.forEach(skin => {
+            const available = this.isAvailable(skin);
+
+            const option = document.createElement('label');
+            option.className = 'cursor-option';
+            option.setAttribute('data-skin', skin.id);
+
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'cursor-skin';
+            input.value = skin.id;
+            input.className = 'cursor-option__input';
+            input.checked = skin.id === active.id;
+            input.disabled = !available;
+
+            const icon = document.createElement('span');
+            icon.className = 'cursor-option__icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = available ? skin.icon : '🔒';
+
+            const name = document.createElement('span');
+            name.className = 'cursor-option__name';
+            name.textContent = skin.name;
+
+            option.append(input, icon, name);
+
+            if (!available) {
+                const reward = window.ProgressionManager?.rewards.find(r => r.type === 'cursor-skin' && r.id === skin.id);
+                const lock = document.createElement('span');
+                lock.className = 'cursor-option__lock';
+                lock.textContent = reward ? `Level ${reward.level}` : 'Locked';
+                option.appendChild(lock);
+            }
+
+            container.appendChild(option);
+        });
+    },
+
+    /**
+     * Match the trail canvas to the viewport
+     */
+    resizeTrail() {
+        const { canvas, context } = this.trail;
+        if (!context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = window.innerWidth * ratio;
+        canvas.height = window.innerHeight * ratio;
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    },
+
+    /**
+     * Wipe the trail canvas and forget the recorded positions
+     */
+    clearTrail() {
+        const { canvas, context } = this.trail;
+        context?.clearRect(0, 0, canvas.width, canvas.height);
+        this.trail.points = [];
+    },
+
+    /**
+     * Draw the active skin's trail (runs on the GSAP ticker while the skin has one)
+     */
+    drawTrail() {
+        const { context: ctx, points, colors } = this.trail;
+        const { style, length, size } = this.getActiveSkin().trail;
+
+        // Follow the dot where quickTo has it this frame, not the raw pointer
+        const head = { x: gsap.getProperty(this.dot, 'x'), y: gsap.getProperty(this.dot, 'y') };
+        points.unshift(head);
+        points.length = Math.min(points.length, length);
+
+        // Nothing to draw once the cursor has been still for the whole trail, or while it's hidden
+        const still = points.every(point => Math.abs(point.x - head.x) < 0.5 && Math.abs(point.y - head.y) < 0.5);
+        ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+        if (still || this.mode === 'hidden') return;
+
+        points.forEach((point, index) => {
+            // 0 at the dot, towards 1 at the end of the trail
+            const t = index / length;
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = ctx.strokeStyle = this.mixColors(colors[0], colors[1], t);
+
+            if (style === 'comet') {
+                const previous = points[index - 1];
+                if (!previous) return;
+                ctx.lineWidth = size * (1 - t);
+                ctx.lineCap = 'round';
+                ctx.beginPath();
+                ctx.moveTo(previous.x, previous.y);
+                ctx.lineTo(point.x, point.y);
+                ctx.stroke();
+            } else if (style === 'pixel') {
+                // Snapped to a grid, fading in steps like an old sprite
+                ctx.globalAlpha = Math.ceil((1 - t) * 4) / 4;
+                ctx.fillRect(Math.round(point.x / size) * size, Math.round(point.y / size) * size, size, size);
+            } else {
+                ctx.globalAlpha = (1 - t) * 0.5;
+                ctx.shadowColor = ctx.fillStyle;
+                ctx.shadowBlur = size * 2;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, size * (1 - t * 0.6), 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.shadowBlur = 0;
+    },
+
+    /**
+     * Blend two hex colors
+     * @param {string} from - Color like "#8B5CF6"
+     * @param {string} to - Color like "#F472B6"
+     * @param {number} t - 0 for `from`, 1 for `to`
+     * @returns {string} rgb() color
+     */
+    mixColors(from, to, t) {
+        const channels = (hex) => {
+            const value = parseInt(hex.slice(1), 16);
+            return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+        };
+        const a = channels(from);
+        const b = channels(to);
+        return `rgb(${a.map((channel, i) => Math.round(channel + (b[i] - channel) * t)).join(', ')})`;
     },
 
     /**
-     * Find and attach magnetic behavior to elements
+     * Register the magnetic elements on the page and keep the registry in sync as the DOM changes
      */
     findMagneticElements() {
-        const selectors = [
-            '.btn--magnetic',
-            '.card--3d',
-            '.nav__link',
-            '.social-link',
-            '.theme-selector__toggle',
-            '.audio-toggle'
-        ];
+        this.scanMagnetic(document.body);
+
+        this.observer = new MutationObserver((mutations) => {
+            mutations.forEach(mutation => {
+                if (mutation.type === 'attributes') {
+                    // Class changes (like the nav's active link on every scroll) only matter
+                    // when they make or unmake a magnetic element
+                    const el = mutation.target;
+                    if (mutation.attributeName === 'class' && this.magnetic.has(el) === el.matches(this.getMagneticSelector())) {
+                        return;
+                    }
+                    this.syncMagnetic(el);
+                    return;
+                }
+                mutation.addedNodes.forEach(node => this.scanMagnetic(node));
+                mutation.removedNodes.forEach(node => {
+                    // Moved nodes are removed and added again, so only drop ones that are really gone
+                    if (!node.isConnected) {
+                        this.getMagneticIn(node).forEach(el => this.unregisterMagnetic(el));
+                    }
+                });
+            });
+        });
 
-        this.magneticElements = document.querySelectorAll(selectors.join(', '));
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'data-magnetic', 'data-magnetic-strength', 'data-magnetic-radius']
+        });
+    },
 
+    /**
+     * @returns {string} Selector for every magnetic element
+     */
+    getMagneticSelector() {
+        return [...this.selectors, '[data-magnetic]'].join(', ');
+    },
+
+    /**
+     * Magnetic elements in a subtree, including its root
+     * @param {Node} node - Root of the subtree
+     * @returns {Array<Element>}
+     */
+    getMagneticIn(node) {
+        if (!(node instanceof Element)) return [];
+
+        const selector = this.getMagneticSelector();
+        const found = [...node.querySelectorAll(selector)];
+        return node.matches(selector) ? [node, ...found] : found;
+    },
+
+    /**
+     * Register every magnetic element in a subtree that isn't registered yet
+     * @param {Node} node - Root of the subtree
+     */
+    scanMagnetic(node) {
+        this.getMagneticIn(node).forEach(el => this.syncMagnetic(el));
+    },
+
+    /**
+     * Register, update or drop an element after it was added or its attributes changed
+     * @param {Element} el - Element to check
+     */
+    syncMagnetic(el) {
+        if (!el.matches(this.getMagneticSelector())) {
+            this.unregisterMagnetic(el);
+            return;
+        }
+
+        const entry = this.magnetic.get(el);
+        if (entry) {
+            Object.assign(entry, this.getMagneticOptions(el));
+        } else {
+            this.magnetic.set(el, { ...this.getMagneticOptions(el), rect: null, xTo: null, yTo: null });
+            this.magneticElements.add(el);
+        }
+        this.rectsDirty = true;
+    },
+
+    /**
+     * Forget an element, putting it back where it was
+     * @param {Element} el - Registered element
+     */
+    unregisterMagnetic(el) {
+        const entry = this.magnetic.get(el);
+        if (!entry) return;
+
+        this.activeMagnetic.delete(el);
+        this.isHovering = this.activeMagnetic.size > 0;
+        this.cursor.classList.toggle('hovering', this.isHovering);
+
+        // Only elements that were pulled have an offset to undo
+        if (entry.xTo) {
+            gsap.killTweensOf(el, 'x,y,scale');
+            gsap.set(el, { x: 0, y: 0, scale: 1 });
+        }
+        this.magnetic.delete(el);
+        this.magneticElements.delete(el);
+    },
+
+    /**
+     * Per-element settings from data-magnetic-strength and data-magnetic-radius
+     * @param {Element} el - Magnetic element
+     * @returns {{strength: number, radius: number}}
+     */
+    getMagneticOptions(el) {
+        const strength = parseFloat(el.getAttribute('data-magnetic-strength'));
+        const radius = parseFloat(el.getAttribute('data-magnetic-radius'));
+        return {
+            strength: Number.isFinite(strength) ? strength : this.magnetDefaults.strength,
+            radius: Number.isFinite(radius) ? radius : this.magnetDefaults.radius
+        };
+    },
+
+    /**
+     * Measure every magnetic element where it rests, without its current magnetic offset
+     */
+    measureMagnetic() {
         this.magneticElements.forEach(el => {
-            el.addEventListener('mouseenter', () => this.onMagneticEnter(el));
-            el.addEventListener('mouseleave', () => this.onMagneticLeave(el));
-            el.addEventListener('mousemove', (e) => this.onMagneticMove(e, el));
+            const rect = el.getBoundingClientRect();
+            const x = gsap.getProperty(el, 'x');
+            const y = gsap.getProperty(el, 'y');
+
+            // Undo the pull and the hover scale (around the centre) to get the resting box
+            const scale = gsap.getProperty(el, 'scale') || 1;
+            const centerX = (rect.left + rect.right) / 2 - x;
+            const centerY = (rect.top + rect.bottom) / 2 - y;
+            const halfWidth = rect.width / scale / 2;
+            const halfHeight = rect.height / scale / 2;
+
+            // Hidden elements (filtered cards, closed menus) have no field
+            this.magnetic.get(el).rect = rect.width || rect.height
+                ? { left: centerX - halfWidth, top: centerY - halfHeight, right: centerX + halfWidth, bottom: centerY + halfHeight }
+                : null;
         });
+
+        this.rectsDirty = false;
+        this.rectsMeasuredAt = performance.now();
+    },
+
+    /**
+     * How strongly an element pulls at the pointer's distance from it
+     * @param {Object} entry - Registry entry with the cached rect and radius
+     * @returns {number} 1 over the element, easing to 0 at `radius` px from its edges
+     */
+    getPull({ rect, radius }) {
+        if (!rect || !this.pointerInside) return 0;
+
+        const dx = Math.max(rect.left - this.mouseX, 0, this.mouseX - rect.right);
+        const dy = Math.max(rect.top - this.mouseY, 0, this.mouseY - rect.bottom);
+        const distance = Math.hypot(dx, dy);
+
+        if (distance === 0) return 1;
+        if (distance >= radius) return 0;
+        return (1 - distance / radius) ** 2;
+    },
+
+    /**
+     * Frame loop: pull elements and the ring towards each other inside each element's field
+     */
+    updateField() {
+        // A snapped ring keeps following its element while it settles
+        const snapped = !!this.modes[this.mode]?.snap;
+        if (!this.fieldDirty && !this.rectsDirty && !snapped) return;
+
+        // Layout can also shift without a scroll (filtering, reveals), so re-measure now and then
+        if (this.rectsDirty || (this.fieldDirty && performance.now() - this.rectsMeasuredAt > this.rectsMaxAge)) {
+            this.measureMagnetic();
+        }
+        this.fieldDirty = false;
+
+        let strongest = null;
+        this.magneticElements.forEach(el => {
+            const entry = this.magnetic.get(el);
+            const pull = this.getPull(entry);
+
+            if (pull > 0) {
+                if (!this.activeMagnetic.has(el)) {
+                    this.onMagneticEnter(el);
+                }
+                this.onMagneticMove(el, entry, pull);
+                if (!strongest || pull > strongest.pull) {
+                    strongest = { entry, pull };
+                }
+            } else if (this.activeMagnetic.has(el)) {
+                this.onMagneticLeave(el);
+            }
+        });
+
+        this.moveRing(strongest);
+    },
+
+    /**
+     * Send the ring to the pointer, drawn towards the strongest field or snapped to its element
+     * @param {{entry: Object, pull: number}|null} strongest - Element pulling hardest, if any
+     */
+    moveRing(strongest) {
+        if (!this.ringXTo || !this.ringYTo) return;
+
+        let x = this.mouseX;
+        let y = this.mouseY;
+
+        const snap = this.getSnapBounds();
+        if (snap) {
+            ({ x, y } = snap);
+        } else if (strongest && !this.mode) {
+            // Only the plain ring: bubbles and carets stay under the pointer
+            const { rect } = strongest.entry;
+            x += ((rect.left + rect.right) / 2 - x) * this.ringStrength * strongest.pull;
+            y += ((rect.top + rect.bottom) / 2 - y) * this.ringStrength * strongest.pull;
+        }
+
+        this.ringXTo(x);
+        this.ringYTo(y);
     },
 
     /**
      * Update cursor position
      */
     updateCursor() {
-        if (this.dotXTo && this.dotYTo && this.ringXTo && this.ringYTo) {
+        if (this.dotXTo && this.dotYTo) {
             this.dotXTo(this.mouseX);
             this.dotYTo(this.mouseY);
-            this.ringXTo(this.mouseX);
-            this.ringYTo(this.mouseY);
         }
+
+        // The ring follows on the next frame, once the magnetic fields are worked out
+        this.fieldDirty = true;
     },
 
     /**
-     * Handle magnetic element hover enter
-     * @param {HTMLElement} el - The element being hovered
+     * Pick the mode for the element under the pointer
+     * @param {Element} target - Element the pointer moved onto
+     */
+    updateMode(target) {
+        if (!(target instanceof Element)) return;
+
+        const field = target.closest(this.textFields);
+        if (field && !field.hasAttribute('data-cursor')) {
+            this.setMode('hidden', field);
+            return;
+        }
+
+        const el = target.closest('[data-cursor]');
+        this.setMode(el ? el.getAttribute('data-cursor') : null, el);
+    },
+
+    /**
+     * Morph the cursor into a mode
+     * @param {string|null} name - Key of modes, or null for the default look
+     * @param {Element} [el] - Element declaring the mode
+     */
+    setMode(name, el = null) {
+        const mode = this.modes[name];
+        if (name && !mode) {
+            console.warn(`Unknown cursor mode "${name}"`, el);
+        }
+        if (!mode) {
+            name = null;
+            el = null;
+        }
+        if (name === this.mode && el === this.modeTarget) return;
+
+        this.mode = name;
+        this.modeTarget = el;
+
+        if (name) {
+            this.cursor.setAttribute('data-cursor-mode', name);
+        } else {
+            this.cursor.removeAttribute('data-cursor-mode');
+        }
+
+        // Bubble modes take the element's own label if it has one
+        const label = mode && 'label' in mode ? el.getAttribute('data-cursor-label') ?? mode.label : '';
+        this.cursor.classList.toggle('cursor--labeled', !!label);
+        if (this.label) {
+            this.label.textContent = label;
+        }
+
+        if (!mode?.snap) {
+            ['width', 'height', 'border-radius'].forEach(prop => this.ring.style.removeProperty(prop));
+        }
+        this.updateCursor();
+    },
+
+    /**
+     * Where a snapped ring should sit, sizing the ring to the element as a side effect
+     * @returns {{x: number, y: number}|null} Center of the element, or null when not snapping
+     */
+    getSnapBounds() {
+        const mode = this.modes[this.mode];
+        if (!mode?.snap || !this.modeTarget?.isConnected) return null;
+
+        const rect = this.modeTarget.getBoundingClientRect();
+        const padding = mode.padding;
+        this.ring.style.width = `${rect.width + padding * 2}px`;
+        this.ring.style.height = `${rect.height + padding * 2}px`;
+        // Follow the element's corners, grown by the padding
+        const radius = getComputedStyle(this.modeTarget).borderRadius;
+        this.ring.style.borderRadius = radius.endsWith('px') ? `${parseFloat(radius) + padding}px` : radius;
+
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    },
+
+    /**
+     * Handle the pointer entering a magnetic element's field
+     * @param {HTMLElement} el - The element pulling at the pointer
      */
     onMagneticEnter(el) {
+        this.activeMagnetic.add(el);
         this.isHovering = true;
         this.cursor.classList.add('hovering');
+        window.AudioManager?.playSfx('hover');
 
         // Scale up element slightly
         gsap.to(el, {
@@ -151,53 +765,60 @@ const CursorManager = {
     },
 
     /**
-     * Handle magnetic element hover leave
+     * Handle the pointer leaving a magnetic element's field
      * @param {HTMLElement} el - The element being left
      */
     onMagneticLeave(el) {
-        this.isHovering = false;
-        this.cursor.classList.remove('hovering');
+        this.activeMagnetic.delete(el);
+        this.isHovering = this.activeMagnetic.size > 0;
+        this.cursor.classList.toggle('hovering', this.isHovering);
 
         // Reset element transform
         gsap.to(el, {
             scale: 1,
-            x: 0,
-            y: 0,
             duration: 0.3,
             ease: 'power2.out'
         });
+        this.getMagneticTweens(el).xTo(0);
+        this.getMagneticTweens(el).yTo(0);
     },
 
     /**
-     * Handle magnetic movement - pull cursor towards element center
-     * @param {MouseEvent} e - Mouse event
+     * Handle magnetic movement - pull element towards the cursor
      * @param {HTMLElement} el - The magnetic element
+     * @param {Object} entry - Registry entry with the cached rest rect
+     * @param {number} pull - Field strength at the pointer, from 0 to 1
      */
-    onMagneticMove(e, el) {
-        if (!this.isHovering) return;
-
-        const rect = el.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-
-        const deltaX = e.clientX - centerX;
-        const deltaY = e.clientY - centerY;
+    onMagneticMove(el, entry, pull) {
+        const { rect, strength } = entry;
+        const deltaX = this.mouseX - (rect.left + rect.right) / 2;
+        const deltaY = this.mouseY - (rect.top + rect.bottom) / 2;
 
         // Move element towards cursor (magnetic effect)
-        const strength = 0.3;
-        gsap.to(el, {
-            x: deltaX * strength,
-            y: deltaY * strength,
-            duration: 0.3,
-            ease: 'power2.out'
-        });
+        const { xTo, yTo } = this.getMagneticTweens(el);
+        xTo(deltaX * strength * pull);
+        yTo(deltaY * strength * pull);
     },
 
     /**
-     * Refresh magnetic elements (call after DOM changes)
+     * One quickTo pair per element, so moves retarget a single tween instead of stacking new ones
+     * @param {HTMLElement} el - Registered magnetic element
+     * @returns {{xTo: Function, yTo: Function}}
+     */
+    getMagneticTweens(el) {
+        const entry = this.magnetic.get(el);
+        if (!entry.xTo) {
+            entry.xTo = gsap.quickTo(el, 'x', { duration: 0.3, ease: 'power2.out' });
+            entry.yTo = gsap.quickTo(el, 'y', { duration: 0.3, ease: 'power2.out' });
+        }
+        return entry;
+    },
+
+    /**
+     * Register magnetic elements the observer hasn't seen (safe to call any number of times)
      */
     refresh() {
-        this.findMagneticElements();
+        this.scanMagnetic(document.body);
     }
 };
 
@@ -0,0 +1,107 @@
+/**
+ * events.js - Event Bus
+ * Small pub/sub core so modules can talk without referencing each other
+ */
+
+const EventBus = {
+    // Registered event names and the payload each one carries
+    events: [
+        'theme:changed',        // { theme, data, source, manual } (manual: the visitor picked it)
+        'audio:play',           // { volume }
+        'audio:pause',          // {}
+        'audio:volume',         // { volume }
+        'audio:track',          // { track, index }
+        'audio:sfx',            // { volume, muted } (sound effects channel)
+        'section:enter',        // { id }
+        'prologue:panel',       // { index, total }
+        'prologue:progress',    // { progress } (0-1, while the prologue is scrolled)
+        'prologue:complete',    // {}
+        'projects:loaded',      // { projects }
+        'page:visibility',      // { hidden }
+        'achievement:unlocked', // { achievement, synced? } (synced: unlocked in another tab)
+        'app:ready',            // {}
+        'secret:found',         // { id }
+        'avatar:click',         // {}
+        'toast:show',           // { icon, title, text, variant?, duration? }
+        'xp:gained',            // { amount, xp, level }
+        'level:up',             // { level, rank, rewards }
+        'progression:changed',  // { xp, level, rank }
+        'storage:changed'       // { key, value } (written by another tab)
+    ],
+
+    listeners: new Map(),
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name from EventBus.events
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        this.validate(event);
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+
+        return () => this.off(event, handler);
+    },
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name from EventBus.events
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler);
+    },
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name from EventBus.events
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            handler(payload);
+        };
+        return this.on(event, wrapper);
+    },
+
+    /**
+     * Publish an event to all subscribers
+     * @param {string} event - Event name from EventBus.events
+     * @param {Object} [payload] - Event data
+     */
+    emit(event, payload = {}) {
+        this.validate(event);
+
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+
+        // Copy first, so handlers can unsubscribe while we iterate
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.warn(`Event handler for "${event}" failed:`, e);
+            }
+        });
+    },
+
+    /**
+     * Warn about event names that aren't registered (likely typos)
+     * @param {string} event - Event name
+     */
+    validate(event) {
+        if (!this.events.includes(event)) {
+            console.warn(`Unknown event "${event}"`);
+        }
+    }
+};
+
+// Export for use in other modules
+window.EventBus = EventBus;
@@ -15,31 +15,68 @@ document.addEventListener('DOMContentLoaded', () => {
  * Initialize all application modules
  */
 function initializeApp() {
-    // 1. Theme Manager (first, so colors are correct)
+    // 0. Store (migrates saved data before any manager reads it)
+    if (window.Store) {
+        window.Store.init();
+    }
+
+    // 1. Theme Manager (first, so colors are correct), then transitions and the custom theme builder
     if (window.ThemeManager) {
         window.ThemeManager.init();
     }
+    if (window.ThemeTransition) {
+        window.ThemeTransition.init();
+    }
+    if (window.ThemeBuilder) {
+        window.ThemeBuilder.init();
+    }
 
-    // 2. Cursor Manager
+    // 2. Cursor Manager (mouse), or Touch Manager (touch screens)
     if (window.CursorManager) {
         window.CursorManager.init();
     }
+    if (window.TouchManager) {
+        window.TouchManager.init();
+    }
 
     // 3. Scroll Manager (GSAP animations)
     if (window.ScrollManager) {
         window.ScrollManager.init();
     }
 
-    // 4. Audio Manager
+    // 4. Audio Manager, then its nav panel
     if (window.AudioManager) {
         window.AudioManager.init();
     }
+    if (window.AudioPanel) {
+        window.AudioPanel.init();
+    }
 
     // 5. Achievement Manager
     if (window.AchievementManager) {
         window.AchievementManager.init();
     }
 
+    // 6. Progression Manager (after achievements, which it reads XP from)
+    if (window.ProgressionManager) {
+        window.ProgressionManager.init();
+    }
+
+    // 7. Save Manager (Vault export/import)
+    if (window.SaveManager) {
+        window.SaveManager.init();
+    }
+
+    // 8. Overlay Manager (before projects, so it catches projects:loaded)
+    if (window.OverlayManager) {
+        window.OverlayManager.init();
+    }
+
+    // 9. Project Manager (async, refreshes scroll + cursor once rendered)
+    if (window.ProjectManager) {
+        window.ProjectManager.init();
+    }
+
     // Set up global event listeners
     setupGlobalEvents();
 
@@ -49,6 +86,11 @@ function initializeApp() {
     // Set up mobile menu
     setupMobileMenu();
 
+    // Set up easter eggs for secret achievements
+    setupEasterEggs();
+
+    EventBus.emit('app:ready');
+
     console.log('✅ Metagame Layer Portal ready!');
 }
 
@@ -65,20 +107,12 @@ function setupGlobalEvents() {
             if (window.ScrollManager) {
                 window.ScrollManager.refresh();
             }
-            // Refresh cursor targets
-            if (window.CursorManager) {
-                window.CursorManager.refresh();
-            }
         }, 250);
     });
 
-    // Handle visibility change (pause audio when tab hidden)
+    // Handle visibility change (audio ducks itself when tab hidden)
     document.addEventListener('visibilitychange', () => {
-        if (document.hidden && window.AudioManager?.isPlaying) {
-            window.AudioManager.audio.volume = 0;
-        } else if (!document.hidden && window.AudioManager?.isPlaying) {
-            window.AudioManager.audio.volume = window.AudioManager.volume;
-        }
+        EventBus.emit('page:visibility', { hidden: document.hidden });
     });
 
     // Keyboard navigation
@@ -88,10 +122,19 @@ function setupGlobalEvents() {
             closeMobileMenu();
         }
 
-        // M to toggle mute
+        // Don't hijack letters while the visitor is typing
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
+            return;
+        }
+
+        // M to toggle mute, Shift+M for sound effects
         if (e.key === 'm' || e.key === 'M') {
             if (window.AudioManager) {
-                window.AudioManager.toggle();
+                if (e.shiftKey) {
+                    window.AudioManager.toggleSfx();
+                } else {
+                    window.AudioManager.toggle();
+                }
             }
         }
 
@@ -104,6 +147,46 @@ function setupGlobalEvents() {
     });
 }
 
+/**
+ * Set up easter eggs that publish secret:found and friends
+ */
+function setupEasterEggs() {
+    // Konami code: ↑ ↑ ↓ ↓ ← → ← → B A
+    const konami = [
+        'arrowup', 'arrowup', 'arrowdown', 'arrowdown',
+        'arrowleft', 'arrowright', 'arrowleft', 'arrowright', 'b', 'a'
+    ];
+    let recentKeys = [];
+
+    document.addEventListener('keydown', (e) => {
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        // Compare the last few keys against the sequence
+        recentKeys = [...recentKeys, e.key.toLowerCase()].slice(-konami.length);
+        if (recentKeys.join() === konami.join()) {
+            recentKeys = [];
+            EventBus.emit('secret:found', { id: 'konami' });
+        }
+    });
+
+    // Poking the about avatar
+    const avatar = document.querySelector('.about__avatar');
+    if (avatar) {
+        avatar.addEventListener('click', () => {
+            EventBus.emit('avatar:click');
+        });
+    }
+
+    // Hidden glyph in the prologue
+    const glyph = document.querySelector('.prologue__glyph');
+    if (glyph) {
+        glyph.addEventListener('click', () => {
+            glyph.classList.add('found');
+            EventBus.emit('secret:found', { id: 'prologue-glyph' });
+        });
+    }
+}
+
 /**
  * Set up smooth scrolling for anchor links
  */
@@ -113,7 +196,8 @@ function setupSmoothScroll() {
     links.forEach(link => {
         link.addEventListener('click', (e) => {
             const href = link.getAttribute('href');
-            if (href === '#') return;
+            // Ignore empty links and hash routes like "#/project/..."
+            if (href === '#' || href.startsWith('#/')) return;
 
             const target = document.querySelector(href);
             if (!target) return;
@@ -0,0 +1,276 @@
+/**
+ * overlay.js - Project Detail Overlay
+ * Full-screen case studies opened through "#/project/<id>" hash routes
+ */
+
+const OverlayManager = {
+    overlay: null,
+    panel: null,
+    body: null,
+
+    routePattern: /^#\/project\/([^/]+)$/,
+    currentProject: null,
+    lastFocused: null,
+
+    // True when the route was pushed by an in-page click, so Back can undo it
+    openedFromPage: false,
+    // Route a click on the page is about to open
+    pendingRoute: null,
+
+    /**
+     * Initialize the overlay and hash routing
+     */
+    init() {
+        this.overlay = document.querySelector('.project-overlay');
+        this.panel = document.querySelector('.project-overlay__panel');
+        this.body = document.querySelector('.project-overlay__body');
+
+        if (!this.overlay || !this.panel || !this.body) return;
+
+        this.setupEventListeners();
+
+        console.log('🪟 Overlay Manager initialized');
+    },
+
+    /**
+     * Set up routing, close controls and focus trapping
+     */
+    setupEventListeners() {
+        // Note routes opened from the page (project links, or anywhere on a card)
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            const card = !e.target.closest('a, button') && e.target.closest('.card[data-project]');
+            const href = link?.getAttribute('href');
+
+            let route = null;
+            if (href && this.routePattern.test(href)) {
+                route = href;
+            } else if (card && window.ProjectManager) {
+                route = window.ProjectManager.getRoute(card.getAttribute('data-project'));
+            }
+
+            // Already there (or the click gets cancelled): no hashchange will come to clear it,
+            // and a stale route would make a later Back/Forward look like a page click
+            if (!route || route === window.location.hash) return;
+            this.pendingRoute = route;
+            setTimeout(() => {
+                // The hash updates straight away, so if it didn't move the hashchange isn't coming
+                if (window.location.hash !== this.pendingRoute) {
+                    this.pendingRoute = null;
+                }
+            }, 0);
+        }, { capture: true });
+
+        // Route changes from those clicks and Back/Forward; only the clicks added a history entry we can go back over
+        window.addEventListener('hashchange', () => {
+            this.openedFromPage = this.pendingRoute !== null && window.location.hash === this.pendingRoute;
+            this.pendingRoute = null;
+            this.route();
+        });
+
+        // Deep links are resolved once the project data has loaded
+        EventBus.on('projects:loaded', () => {
+            this.openedFromPage = false;
+            this.route();
+        });
+
+        // Backdrop and close button
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target.closest('[data-overlay-close]')) {
+                this.requestClose();
+            }
+        });
+
+        // Escape closes, Tab stays inside the overlay
+        document.addEventListener('keydown', (e) => {
+            if (!this.currentProject) return;
+
+            if (e.key === 'Escape') {
+                this.requestClose();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    },
+
+    /**
+     * Open or close the overlay to match the current hash
+     */
+    route() {
+        const match = window.location.hash.match(this.routePattern);
+        const project = match && window.ProjectManager
+            ? window.ProjectManager.getProject(decodeURIComponent(match[1]))
+            : null;
+
+        if (project) {
+            this.open(project);
+        } else {
+            this.close();
+
+            // Drop routes that point at unknown projects
+            if (match && window.ProjectManager?.projects.length) {
+                this.clearRoute();
+            }
+        }
+    },
+
+    /**
+     * Show the overlay for a project
+     * @param {Object} project - Project entry from the manifest
+     */
+    open(project) {
+        const wasOpen = !!this.currentProject;
+        this.currentProject = project;
+        this.body.innerHTML = this.renderProject(project);
+
+        if (wasOpen) {
+            this.panel.scrollTop = 0;
+            return;
+        }
+
+        this.lastFocused = document.activeElement;
+        this.overlay.hidden = false;
+        document.body.style.overflow = 'hidden';
+
+        // Freeze scroll-driven animations underneath
+        if (window.ScrollManager) {
+            window.ScrollManager.pause();
+        }
+
+        if (typeof gsap !== 'undefined') {
+            gsap.fromTo(this.overlay, { opacity: 0 }, { opacity: 1, duration: 0.3, ease: 'power2.out' });
+            gsap.fromTo(this.panel,
+                { y: 40, opacity: 0 },
+                { y: 0, opacity: 1, duration: 0.5, ease: 'power3.out' }
+            );
+        }
+
+        this.panel.querySelector('.project-overlay__close')?.focus();
+    },
+
+    /**
+     * Hide the overlay and restore the page underneath
+     */
+    close() {
+        if (!this.currentProject) return;
+
+        this.currentProject = null;
+        this.overlay.hidden = true;
+        this.body.innerHTML = '';
+        document.body.style.overflow = '';
+
+        if (window.ScrollManager) {
+            window.ScrollManager.resume();
+        }
+
+        // Return focus to whatever opened the overlay
+        if (this.lastFocused && document.contains(this.lastFocused)) {
+            this.lastFocused.focus();
+        }
+        this.lastFocused = null;
+    },
+
+    /**
+     * Close from the UI (Escape, close button, backdrop)
+     * Goes back in history when the route was pushed by the page itself
+     */
+    requestClose() {
+        if (this.openedFromPage) {
+            history.back();
+        } else {
+            this.clearRoute();
+            this.close();
+        }
+    },
+
+    /**
+     * Remove the route from the URL without adding a history entry
+     */
+    clearRoute() {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    },
+
+    /**
+     * Keep Tab and Shift+Tab cycling within the overlay
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.panel.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        ));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        // Pull focus back in if it escaped (e.g. after clicking the backdrop)
+        if (!this.panel.contains(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Build the case-study layout for a project
+     * @param {Object} project - Project entry from the manifest
+     * @returns {string} Overlay body HTML
+     */
+    renderProject(project) {
+        const escape = (value) => window.ProjectManager.escape(value);
+
+        const gallery = (project.gallery || []).map((shot, index) => `
+            <figure class="project-overlay__shot">
+                ${shot.src
+                    ? `<img src="${escape(shot.src)}" alt="${escape(shot.alt || shot.caption || '')}" loading="lazy">`
+                    : `<div class="project-overlay__placeholder" aria-hidden="true">${String(index + 1).padStart(2, '0')}</div>`}
+                ${shot.caption ? `<figcaption>${escape(shot.caption)}</figcaption>` : ''}
+            </figure>
+        `).join('');
+
+        const tech = (project.tech || []).map(item => `
+            <li class="tech-badge"><span class="tech-badge__name">${escape(item)}</span></li>
+        `).join('');
+
+        const links = (project.links || []).map(link => {
+            const external = /^https?:\/\//.test(link.href);
+            return `
+                <a href="${escape(link.href)}" class="btn btn--secondary btn--magnetic"${external ? ' target="_blank" rel="noopener" data-cursor="link-external"' : ''}>
+                    <span class="btn__text">${escape(link.label)}</span>
+                </a>
+            `;
+        }).join('');
+
+        return `
+            <header class="project-overlay__header">
+                ${project.badge ? `<span class="card__badge">${escape(project.badge)}</span>` : ''}
+                <h2 class="project-overlay__title" id="project-overlay-title">${escape(project.title)}</h2>
+                <p class="project-overlay__summary">${escape(project.overview || project.description)}</p>
+            </header>
+
+            ${gallery ? `<div class="project-overlay__gallery">${gallery}</div>` : ''}
+
+            <dl class="project-overlay__meta">
+                ${project.role ? `<div><dt>Role</dt><dd>${escape(project.role)}</dd></div>` : ''}
+                ${project.timeline ? `<div><dt>Timeline</dt><dd>${escape(project.timeline)}</dd></div>` : ''}
+            </dl>
+
+            ${tech ? `
+                <section class="project-overlay__section">
+                    <h3 class="project-overlay__heading">Tech Used</h3>
+                    <ul class="project-overlay__tech">${tech}</ul>
+                </section>
+            ` : ''}
+
+            ${links ? `<div class="project-overlay__links">${links}</div>` : ''}
+        `;
+    }
+};
+
+// Export for use in other modules
+window.OverlayManager = OverlayManager;
@@ -0,0 +1,245 @@
+/**
+ * progression.js - XP, Levels and Ranks
+ * Turns unlocked achievements into experience, levels and cosmetic rewards
+ */
+
+const ProgressionManager = {
+    /**
+     * Level curve: reaching level n + 1 from level n costs
+     * round(base * growth^(n - 1)) XP, so each level takes a bit longer
+     */
+    curve: {
+        base: 100,
+        growth: 1.35
+    },
+
+    // Rank titles, taken from the highest entry at or below the current level
+    ranks: [
+        { level: 1, title: 'Rookie' },
+        { level: 2, title: 'Scout' },
+        { level: 3, title: 'Adventurer' },
+        { level: 5, title: 'Veteran' },
+        { level: 7, title: 'Legend' }
+    ],
+
+    // Cosmetic rewards other modules can check with isRewardUnlocked()
+    rewards: [
+        { level: 2, type: 'cursor-skin', id: 'pixel-arrow', label: 'Pixel Arrow cursor' },
+        { level: 3, type: 'theme', id: 'neon-arcade', label: 'Neon Arcade theme' },
+        { level: 4, type: 'cursor-skin', id: 'comet', label: 'Comet Trail cursor' }
+    ],
+
+    xp: 0,
+    level: 1,
+    hud: null,
+
+    /**
+     * Initialize progression from the achievements already unlocked
+     */
+    init() {
+        this.xp = this.getEarnedXp();
+        this.level = this.getLevel(this.xp);
+
+        this.hud = document.querySelector('.level-hud');
+        this.updateHUD();
+
+        // Unlocks synced from another tab were already announced there
+        EventBus.on('achievement:unlocked', ({ achievement, synced }) => {
+            this.gainXp(achievement.xp || 0, { announce: !synced });
+        });
+
+        // Let reward-gated modules (e.g. bonus themes) sync with the saved level
+        EventBus.emit('progression:changed', this.getState());
+
+        console.log(`⭐ Progression Manager initialized at level ${this.level}`);
+    },
+
+    /**
+     * Total XP from unlocked achievements
+     * @returns {number}
+     */
+    getEarnedXp() {
+        return window.AchievementManager?.getProgress().xp || 0;
+    },
+
+    /**
+     * Add XP and handle any level-ups it causes
+     * @param {number} amount - XP to add
+     * @param {Object} [options]
+     * @param {boolean} [options.announce=true] - Show a toast on level-up
+     */
+    gainXp(amount, { announce = true } = {}) {
+        if (amount <= 0) return;
+
+        const previousLevel = this.level;
+        this.xp += amount;
+        this.level = this.getLevel(this.xp);
+
+        EventBus.emit('xp:gained', { amount, xp: this.xp, level: this.level });
+        this.animateGain(amount, this.level > previousLevel);
+
+        if (this.level > previousLevel) {
+            this.levelUp(previousLevel, announce);
+        }
+
+        EventBus.emit('progression:changed', this.getState());
+    },
+
+    /**
+     * Announce a level-up and any rewards it unlocked
+     * @param {number} previousLevel - Level before the XP gain
+     * @param {boolean} announce - Show the level-up toast
+     */
+    levelUp(previousLevel, announce) {
+        const rank = this.getRank(this.level);
+        const rewards = this.rewards.filter(r => r.level > previousLevel && r.level <= this.level);
+
+        const unlocks = rewards.length
+            ? ` — unlocked ${rewards.map(r => r.label).join(', ')}`
+            : '';
+
+        if (announce) {
+            EventBus.emit('toast:show', {
+                icon: '⭐',
+                title: `Level ${this.level} Reached!`,
+                text: `You are now a ${rank}${unlocks}`,
+                variant: 'level',
+                duration: 4000
+            });
+        }
+
+        EventBus.emit('level:up', { level: this.level, rank, rewards });
+
+        console.log(`⭐ Level up: ${this.level} (${rank})`);
+    },
+
+    /**
+     * Cumulative XP needed to reach a level
+     * @param {number} level - Target level (1 needs 0 XP)
+     * @returns {number}
+     */
+    xpForLevel(level) {
+        const { base, growth } = this.curve;
+        let total = 0;
+        for (let n = 1; n < level; n++) {
+            total += Math.round(base * growth ** (n - 1));
+        }
+        return total;
+    },
+
+    /**
+     * Level reached with a given amount of XP
+     * @param {number} xp - Total XP
+     * @returns {number}
+     */
+    getLevel(xp) {
+        let level = 1;
+        while (xp >= this.xpForLevel(level + 1)) {
+            level++;
+        }
+        return level;
+    },
+
+    /**
+     * Rank title for a level
+     * @param {number} level - Level
+     * @returns {string}
+     */
+    getRank(level) {
+        const rank = [...this.ranks].reverse().find(r => r.level <= level);
+        return rank ? rank.title : this.ranks[0].title;
+    },
+
+    /**
+     * Current progression snapshot
+     * @returns {{xp: number, level: number, rank: string, current: number, needed: number}}
+     */
+    getState() {
+        const floor = this.xpForLevel(this.level);
+        return {
+            xp: this.xp,
+            level: this.level,
+            rank: this.getRank(this.level),
+            // XP earned within the current level, and XP that level spans
+            current: this.xp - floor,
+            needed: this.xpForLevel(this.level + 1) - floor
+        };
+    },
+
+    /**
+     * Check whether a cosmetic reward is available
+     * @param {string} type - Reward type, e.g. 'theme'
+     * @param {string} id - Reward id, e.g. 'neon-arcade'
+     * @returns {boolean}
+     */
+    isRewardUnlocked(type, id) {
+        const reward = this.rewards.find(r => r.type === type && r.id === id);
+        return !!reward && this.level >= reward.level;
+    },
+
+    /**
+     * Rewards unlocked at the current level
+     * @param {string} [type] - Only return rewards of this type
+     * @returns {Array<Object>}
+     */
+    getUnlockedRewards(type) {
+        return this.rewards.filter(r => this.level >= r.level && (!type || r.type === type));
+    },
+
+    /**
+     * Reflect the current level, rank and XP bar in the nav HUD
+     */
+    updateHUD() {
+        if (!this.hud) return;
+
+        const { level, rank, current, needed } = this.getState();
+
+        this.hud.querySelector('.level-hud__level').textContent = level;
+        this.hud.querySelector('.level-hud__rank').textContent = rank;
+        this.hud.querySelector('.level-hud__fill').style.width = `${(current / needed) * 100}%`;
+        this.hud.querySelector('.level-hud__label').textContent =
+            `Level ${level}, ${rank}. ${current} of ${needed} XP to the next level.`;
+    },
+
+    /**
+     * Float "+XP" over the HUD and sweep the bar to its new width
+     * @param {number} amount - XP gained
+     * @param {boolean} leveledUp - Whether the gain crossed a level
+     */
+    animateGain(amount, leveledUp) {
+        if (!this.hud || typeof gsap === 'undefined') {
+            this.updateHUD();
+            return;
+        }
+
+        const fill = this.hud.querySelector('.level-hud__fill');
+        const gain = this.hud.querySelector('.level-hud__gain');
+
+        gain.textContent = `+${amount} XP`;
+        gsap.fromTo(gain,
+            { y: 0, opacity: 1 },
+            { y: -24, opacity: 0, duration: 1.4, ease: 'power2.out' }
+        );
+
+        const { current, needed } = this.getState();
+        const width = `${(current / needed) * 100}%`;
+        const timeline = gsap.timeline({ onComplete: () => this.updateHUD() });
+
+        // Fill the old level's bar first, then start the new one from empty
+        if (leveledUp) {
+            timeline
+                .to(fill, { width: '100%', duration: 0.5, ease: 'power2.in' })
+                .add(() => {
+                    this.hud.classList.add('level-hud--level-up');
+                    this.updateHUD();
+                })
+                .fromTo(fill, { width: '0%' }, { width, duration: 0.6, ease: 'power2.out', immediateRender: false })
+                .add(() => this.hud.classList.remove('level-hud--level-up'), '+=0.6');
+        } else {
+            timeline.to(fill, { width, duration: 0.8, ease: 'power2.out' });
+        }
+    }
+};
+
+// Export for use in other modules
+window.ProgressionManager = ProgressionManager;
@@ -0,0 +1,372 @@
+/**
+ * projects.js - Data-Driven Nexus Projects
+ * Renders the project cards in the Nexus grid from a JSON manifest
+ */
+
+const ProjectManager = {
+    manifestUrl: 'data/projects.json',
+    projects: [],
+    grid: null,
+
+    // Active filter state, mirrored in the URL query string
+    filters: {
+        tag: '',
+        query: ''
+    },
+
+    // Inline SVG icons referenced by name from the manifest
+    icons: {
+        layers: '<polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/>',
+        globe: '<circle cx="12" cy="12" r="10"/><path d="M2 12h20M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/>',
+        shield: '<path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>',
+        star: '<path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>',
+        eye: '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>'
+    },
+
+    /**
+     * Initialize the project grid
+     */
+    async init() {
+        this.grid = document.querySelector('.nexus__grid');
+        if (!this.grid) return;
+
+        try {
+            this.projects = await this.load();
+        } catch (e) {
+            console.warn('Could not load projects:', e);
+            this.renderEmpty();
+            return;
+        }
+
+        this.render();
+
+        // Clicking anywhere on a card opens its detail route
+        this.grid.addEventListener('click', (e) => {
+            if (e.target.closest('a, button')) return;
+
+            const card = e.target.closest('.card[data-project]');
+            if (card) {
+                window.location.hash = this.getRoute(card.getAttribute('data-project'));
+            }
+        });
+
+        // Set up the filter bar and restore any shared filter from the URL
+        this.initFilters();
+
+        // Re-apply tilt and stagger reveal to the new cards (CursorManager picks them up by itself)
+        if (window.ScrollManager) {
+            window.ScrollManager.refresh();
+        }
+
+        // Let other modules (e.g. the detail overlay) know the data is ready
+        EventBus.emit('projects:loaded', { projects: this.projects });
+
+        console.log(`🗂️ Project Manager rendered ${this.projects.length} projects`);
+    },
+
+    /**
+     * Fetch the project manifest
+     * @returns {Promise<Array>} Project entries
+     */
+    async load() {
+        const response = await fetch(this.manifestUrl);
+        if (!response.ok) {
+            throw new Error(`${this.manifestUrl} responded with ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        return Array.isArray(manifest.projects) ? manifest.projects : [];
+    },
+
+    /**
+     * Render all project cards into the grid
+     */
+    render() {
+        this.grid.innerHTML = this.projects.map(project => this.renderCard(project)).join('');
+    },
+
+    /**
+     * Render a placeholder when the manifest is unavailable
+     */
+    renderEmpty() {
+        this.grid.innerHTML = `
+            <p class="nexus__empty">Projects could not be loaded. Serve the portal over HTTP to see them.</p>
+        `;
+    },
+
+    /**
+     * Build the markup for a single project card
+     * @param {Object} project - Project entry from the manifest
+     * @returns {string} Card HTML
+     */
+    renderCard(project) {
+        const classes = ['card', 'card--3d'];
+        if (project.featured) classes.push('card--featured');
+
+        const badge = project.badge
+            ? `<div class="card__badge">${this.escape(project.badge)}</div>`
+            : '';
+
+        const icon = project.icon && this.icons[project.icon]
+            ? `<div class="card__icon">${this.renderIcon(project.icon, 'stroke')}</div>`
+            : '';
+
+        const stats = project.stats?.length
+            ? `<div class="card__stats">${project.stats.map(stat => `
+                <span class="card__stat" title="${this.escape(stat.label || '')}">
+                    ${this.renderIcon(stat.icon, stat.icon === 'star' ? 'fill' : 'stroke', 16)}
+                    ${this.escape(stat.value)}
+                </span>`).join('')}
+            </div>`
+            : '';
+
+        const tags = project.tags?.length
+            ? `<ul class="card__tags">${project.tags.map(tag => `<li class="card__tag">${this.escape(tag)}</li>`).join('')}</ul>`
+            : '';
+
+        return `
+            <article class="${classes.join(' ')}" data-project="${this.escape(project.id)}" data-cursor="view">
+                <div class="card__glow"></div>
+                <div class="card__content">
+                    ${badge}
+                    ${icon}
+                    <h3 class="card__title">${this.escape(project.title)}</h3>
+                    <p class="card__text">${this.escape(project.description)}</p>
+                    ${stats}
+                    ${tags}
+                    <a href="${this.getRoute(project.id)}" class="card__link btn--magnetic">${this.escape(project.cta || 'Explore →')}</a>
+                </div>
+            </article>
+        `;
+    },
+
+    /**
+     * Set up tag chips and the search box
+     */
+    initFilters() {
+        const tagGroup = document.querySelector('.nexus__tags');
+        const search = document.querySelector('.nexus__search-input');
+
+        this.readQueryString();
+
+        if (tagGroup) {
+            this.renderTagChips(tagGroup);
+
+            tagGroup.addEventListener('click', (e) => {
+                const chip = e.target.closest('.filter-chip');
+                if (!chip) return;
+
+                this.filters.tag = chip.getAttribute('data-tag');
+                this.updateTagChips(tagGroup);
+                this.applyFilters();
+            });
+        }
+
+        if (search) {
+            search.value = this.filters.query;
+            search.addEventListener('input', debounce(() => {
+                this.filters.query = search.value.trim();
+                this.applyFilters();
+            }, 200));
+        }
+
+        // Apply the restored filter without animating
+        this.applyFilters({ animate: false });
+    },
+
+    /**
+     * Render one chip per unique tag, plus "All"
+     * @param {HTMLElement} tagGroup - Chip container
+     */
+    renderTagChips(tagGroup) {
+        const tags = [...new Set(this.projects.flatMap(p => p.tags || []))].sort();
+
+        // Ignore a shared tag that no longer exists
+        if (this.filters.tag && !tags.includes(this.filters.tag)) {
+            this.filters.tag = '';
+        }
+
+        tagGroup.innerHTML = ['', ...tags].map(tag => `
+            <button type="button" class="filter-chip btn--magnetic" data-tag="${this.escape(tag)}">${this.escape(tag || 'All')}</button>
+        `).join('');
+
+        this.updateTagChips(tagGroup);
+    },
+
+    /**
+     * Reflect the active tag on the chips
+     * @param {HTMLElement} tagGroup - Chip container
+     */
+    updateTagChips(tagGroup) {
+        tagGroup.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', chip.getAttribute('data-tag') === this.filters.tag);
+        });
+    },
+
+    /**
+     * Check a project against the active filters
+     * @param {Object} project - Project entry
+     * @returns {boolean} Whether the project should be shown
+     */
+    matchesFilters(project) {
+        const { tag, query } = this.filters;
+
+        if (tag && !(project.tags || []).includes(tag)) return false;
+        if (!query) return true;
+
+        const haystack = [project.title, project.description, ...(project.tags || [])]
+            .join(' ')
+            .toLowerCase();
+        return haystack.includes(query.toLowerCase());
+    },
+
+    /**
+     * Show and hide cards for the active filters
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Animate the re-layout with Flip
+     */
+    applyFilters({ animate = true } = {}) {
+        const cards = this.grid.querySelectorAll('.card[data-project]');
+        const useFlip = animate && typeof Flip !== 'undefined';
+
+        // Finish the scroll reveal so it can't replay over the Flip animation
+        if (useFlip && window.ScrollManager) {
+            window.ScrollManager.settleCardReveal(this.grid);
+        }
+
+        const state = useFlip ? Flip.getState(cards) : null;
+
+        let visibleCount = 0;
+        cards.forEach(card => {
+            const project = this.getProject(card.getAttribute('data-project'));
+            const visible = !!project && this.matchesFilters(project);
+            card.hidden = !visible;
+            if (visible) visibleCount++;
+        });
+
+        const noResults = document.querySelector('.nexus__no-results');
+        if (noResults) {
+            noResults.hidden = visibleCount > 0;
+        }
+
+        this.writeQueryString();
+
+        if (state) {
+            // CSS transitions on the cards would lag behind Flip's transforms
+            this.grid.classList.add('is-filtering');
+
+            Flip.from(state, {
+                duration: 0.5,
+                ease: 'power3.inOut',
+                absolute: true,
+                nested: true,
+                onEnter: elements => gsap.fromTo(elements,
+                    { opacity: 0, scale: 0.9 },
+                    { opacity: 1, scale: 1, duration: 0.4, ease: 'power3.out' }
+                ),
+                onLeave: elements => gsap.to(elements, {
+                    opacity: 0,
+                    scale: 0.9,
+                    duration: 0.3,
+                    ease: 'power3.in'
+                }),
+                onComplete: () => {
+                    this.grid.classList.remove('is-filtering');
+
+                    // Section height changed, so later triggers need new positions
+                    if (window.ScrollManager) {
+                        window.ScrollManager.refresh();
+                    }
+                }
+            });
+        } else if (animate && window.ScrollManager) {
+            window.ScrollManager.refresh();
+        }
+    },
+
+    /**
+     * Restore filters from the URL query string
+     */
+    readQueryString() {
+        const params = new URLSearchParams(window.location.search);
+        this.filters.tag = params.get('tag') || '';
+        this.filters.query = params.get('q') || '';
+    },
+
+    /**
+     * Mirror filters into the URL so a filtered view can be shared
+     */
+    writeQueryString() {
+        const url = new URL(window.location.href);
+
+        if (this.filters.tag) {
+            url.searchParams.set('tag', this.filters.tag);
+        } else {
+            url.searchParams.delete('tag');
+        }
+
+        if (this.filters.query) {
+            url.searchParams.set('q', this.filters.query);
+        } else {
+            url.searchParams.delete('q');
+        }
+
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    },
+
+    /**
+     * Build an inline SVG icon
+     * @param {string} name - Icon name from the icon set
+     * @param {string} style - 'stroke' or 'fill'
+     * @param {number} [size] - Optional width/height in px
+     * @returns {string} SVG markup
+     */
+    renderIcon(name, style, size) {
+        const paths = this.icons[name];
+        if (!paths) return '';
+
+        const paint = style === 'fill'
+            ? 'fill="currentColor"'
+            : 'fill="none" stroke="currentColor" stroke-width="2"';
+        const dimensions = size ? ` width="${size}" height="${size}"` : '';
+
+        return `<svg viewBox="0 0 24 24" ${paint}${dimensions}>${paths}</svg>`;
+    },
+
+    /**
+     * Escape manifest text for safe HTML insertion
+     * @param {string} value - Raw text
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Get the hash route for a project's detail overlay
+     * @param {string} id - Project id
+     * @returns {string} Hash route, e.g. "#/project/zigma-protocol"
+     */
+    getRoute(id) {
+        return `#/project/${encodeURIComponent(id)}`;
+    },
+
+    /**
+     * Find a project by its id
+     * @param {string} id - Project id
+     * @returns {Object|undefined} Project entry
+     */
+    getProject(id) {
+        return this.projects.find(p => p.id === id);
+    }
+};
+
+// Export for use in other modules
+window.ProjectManager = ProjectManager;
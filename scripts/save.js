@@ -0,0 +1,355 @@
+/**
+ * save.js - Save Data Export/Import
+ * Moves visitor progress between browsers as a save code or JSON file
+ */
+
+const SaveManager = {
+    version: 1,
+    filename: 'metalayer-save.json',
+
+    // Store keys owned by the other managers
+    keys: {
+        achievements: 'achievements',
+        theme: 'theme',
+        themeAuto: 'theme-auto',
+        customThemes: 'custom-themes',
+        audio: 'audio',
+        cursor: 'cursor'
+    },
+
+    /**
+     * Upgrades for older saves: migrations[n] turns a version n save into version n + 1
+     */
+    migrations: {
+        // Version 0: an unversioned copy of the legacy "metalayer-*" localStorage keys, without a checksum
+        0: (save) => {
+            const read = (key) => {
+                const value = save[key];
+                return typeof value === 'string' && key !== 'metalayer-theme' ? JSON.parse(value) : value;
+            };
+            if (!Object.keys(save).some(key => key.startsWith('metalayer-'))) {
+                throw new Error('No portal progress found in this save.');
+            }
+            const achievements = read('metalayer-achievements') || {};
+
+            return {
+                version: 1,
+                data: {
+                    achievements: {
+                        unlocked: achievements.unlocked || [],
+                        unlockedAt: achievements.unlockedAt || {}
+                    },
+                    stats: achievements.progress || {},
+                    theme: read('metalayer-theme') || null,
+                    audio: read('metalayer-audio') || {}
+                }
+            };
+        }
+    },
+
+    panel: null,
+    input: null,
+    status: null,
+
+    /**
+     * Initialize the Vault save panel
+     */
+    init() {
+        this.panel = document.querySelector('.save-panel');
+        if (!this.panel) return;
+
+        this.input = this.panel.querySelector('.save-panel__input');
+        this.status = this.panel.querySelector('.save-panel__status');
+
+        this.setupEventListeners();
+
+        console.log('💾 Save Manager initialized');
+    },
+
+    /**
+     * Set up the export and import controls
+     */
+    setupEventListeners() {
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-save-action]');
+            if (!button) return;
+
+            const action = button.getAttribute('data-save-action');
+            if (action === 'copy') {
+                this.copyCode();
+            } else if (action === 'download') {
+                this.download();
+            } else if (action === 'import') {
+                this.importText(this.input.value);
+            }
+        });
+
+        const fileInput = this.panel.querySelector('.save-panel__file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    this.importText(await file.text());
+                }
+            });
+        }
+    },
+
+    /**
+     * Gather achievements, visit stats, themes, audio settings and the cursor skin
+     * @returns {Object} Save data
+     */
+    collect() {
+        const achievements = Store.get(this.keys.achievements, {});
+        const audio = Store.get(this.keys.audio, {});
+
+        return {
+            achievements: {
+                unlocked: achievements.unlocked || [],
+                unlockedAt: achievements.unlockedAt || {}
+            },
+            // Rule progress: visit days, counts and listening time
+            stats: achievements.progress || {},
+            theme: Store.get(this.keys.theme),
+            themeAuto: Store.get(this.keys.themeAuto, false),
+            // Seed colors, so a custom active theme still exists after import
+            customThemes: Store.get(this.keys.customThemes, []),
+            audio: {
+                volume: audio.volume ?? 0.3,
+                wasPlaying: !!audio.wasPlaying,
+                track: audio.track || null,
+                sfx: audio.sfx || { volume: 0.5, muted: false }
+            },
+            cursor: Store.get(this.keys.cursor)
+        };
+    },
+
+    /**
+     * Build a versioned, checksummed save
+     * @returns {Object} Save object
+     */
+    createSave() {
+        const data = this.collect();
+        return {
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            data,
+            checksum: this.checksum(data)
+        };
+    },
+
+    /**
+     * Encode a save as a base64 save code
+     * @param {Object} save - Save object
+     * @returns {string} Save code
+     */
+    encode(save) {
+        const bytes = new TextEncoder().encode(JSON.stringify(save));
+        return btoa(String.fromCharCode(...bytes));
+    },
+
+    /**
+     * Parse a save code or JSON export
+     * @param {string} text - Pasted code or file contents
+     * @returns {Object} Parsed save object
+     */
+    decode(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('Paste a save code or choose a save file first.');
+        }
+
+        try {
+            if (trimmed.startsWith('{')) {
+                return JSON.parse(trimmed);
+            }
+            const bytes = Uint8Array.from(atob(trimmed.replace(/\s/g, '')), c => c.charCodeAt(0));
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error("That doesn't look like a save code.");
+        }
+    },
+
+    /**
+     * Check version and checksum, then migrate to the current format
+     * @param {Object} save - Parsed save object
+     * @returns {Object} Save in the current format
+     */
+    validate(save) {
+        if (!save || typeof save !== 'object') {
+            throw new Error("That doesn't look like a save code.");
+        }
+
+        let version = save.version ?? 0;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error('This save has an unknown format.');
+        }
+        if (version > this.version) {
+            throw new Error('This save was made by a newer version of the portal.');
+        }
+
+        // Version 0 predates checksums
+        if (version > 0 && save.checksum !== this.checksum(save.data)) {
+            throw new Error('This save has been modified or is incomplete.');
+        }
+
+        try {
+            while (version < this.version) {
+                save = this.migrations[version](save);
+                version = save.version;
+            }
+        } catch (e) {
+            throw new Error(`This save could not be upgraded: ${e.message}`);
+        }
+
+        const { achievements, stats, theme, audio } = save.data || {};
+        const isObject = (value) => !!value && typeof value === 'object';
+        if (!Array.isArray(achievements?.unlocked) || !isObject(stats) || !isObject(audio)) {
+            throw new Error('This save is missing progress data.');
+        }
+        if (theme !== null && typeof theme !== 'string') {
+            throw new Error('This save has an invalid theme.');
+        }
+
+        return save;
+    },
+
+    /**
+     * Write a validated save back to the managers' storage keys
+     * Fields added after a save was made (track, sound effects, cursor skin) are missing from it,
+     * and leave the visitor's current settings as they are
+     * @param {Object} save - Save in the current format
+     */
+    restore(save) {
+        const { achievements, stats, theme, themeAuto, customThemes, audio, cursor } = save.data;
+
+        Store.set(this.keys.achievements, {
+            unlocked: achievements.unlocked,
+            unlockedAt: achievements.unlockedAt || {},
+            progress: stats
+        });
+        // A muted (0) volume is kept; only a missing or garbled one falls back
+        const volume = Number(audio.volume ?? 0.3);
+        const current = Store.get(this.keys.audio, {});
+        const sfx = audio.sfx ?? current.sfx ?? {};
+        Store.set(this.keys.audio, {
+            volume: Math.max(0, Math.min(1, Number.isFinite(volume) ? volume : 0.3)),
+            wasPlaying: !!audio.wasPlaying,
+            track: typeof audio.track === 'string' || audio.track === null ? audio.track : current.track ?? null,
+            sfx: {
+                volume: Math.max(0, Math.min(1, Number(sfx.volume ?? 0.5) || 0)),
+                muted: !!sfx.muted
+            }
+        });
+
+        // Entries are checked again by ThemeManager when it loads them
+        if (Array.isArray(customThemes)) {
+            Store.set(this.keys.customThemes, customThemes);
+        }
+
+        if (theme) {
+            Store.set(this.keys.theme, theme);
+        } else {
+            Store.remove(this.keys.theme);
+        }
+        // Saves from before Auto mode keep the theme they were made with
+        Store.set(this.keys.themeAuto, themeAuto === true);
+
+        // Checked against CursorManager.skins when it loads
+        if (typeof cursor === 'string') {
+            Store.set(this.keys.cursor, cursor);
+        } else if (cursor === null) {
+            Store.remove(this.keys.cursor);
+        }
+    },
+
+    /**
+     * Import a pasted code or file and reload with the restored progress
+     * @param {string} text - Save code or JSON export
+     */
+    importText(text) {
+        // A reload would throw away progress that only lives in memory
+        if (!Store.available) {
+            this.setStatus("This browser is blocking storage, so imported progress can't be kept.", true);
+            return;
+        }
+
+        try {
+            this.restore(this.validate(this.decode(text)));
+        } catch (e) {
+            console.warn('Could not import save:', e);
+            this.setStatus(e.message, true);
+            return;
+        }
+
+        this.setStatus('Progress imported. Reloading…');
+
+        // Every manager reads its state on init, so start fresh
+        window.location.reload();
+    },
+
+    /**
+     * Copy the save code to the clipboard
+     */
+    async copyCode() {
+        const code = this.encode(this.createSave());
+
+        try {
+            await navigator.clipboard.writeText(code);
+            this.setStatus('Save code copied to the clipboard.');
+        } catch (e) {
+            // No clipboard access: leave the code selected for a manual copy
+            this.input.value = code;
+            this.input.select();
+            this.setStatus('Copy the selected save code.');
+        }
+    },
+
+    /**
+     * Download the save as a JSON file
+     */
+    download() {
+        const blob = new Blob([JSON.stringify(this.createSave(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.setStatus('Save file downloaded.');
+    },
+
+    /**
+     * FNV-1a hash of the save data, to catch edited or truncated codes
+     * @param {Object} data - Save data
+     * @returns {string} 8-digit hex checksum
+     */
+    checksum(data) {
+        const text = JSON.stringify(data ?? null);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Show a message under the panel controls
+     * @param {string} message - Text to show
+     * @param {boolean} [isError=false] - Style as an error
+     */
+    setStatus(message, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('save-panel__status--error', isError);
+    }
+};
+
+// Export for use in other modules
+window.SaveManager = SaveManager;
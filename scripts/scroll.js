@@ -5,13 +5,27 @@
 
 const ScrollManager = {
     progressBar: null,
+    pausedTriggers: null,
     prologuePanels: [],
     currentProloguePanel: 0,
+    prologueTrigger: null,
+    // Panel a dot, key or swipe is scrolling to, so repeated steps carry on from there
+    prologueTarget: null,
+    // Horizontal travel (px) that counts as a swipe between panels
+    swipeThreshold: 50,
+
+    // Sections whose cards get a staggered reveal
+    revealSections: ['#nexus', '#vault', '#about', '#contact'],
+    cardReveals: new Map(),
+    tiltCards: new WeakSet(),
 
     /**
      * Initialize scroll animations
      */
     init() {
+        // Section tracking doesn't depend on GSAP
+        this.initSectionTracking();
+
         if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') {
             console.warn('GSAP or ScrollTrigger not loaded');
             return;
@@ -34,6 +48,25 @@ const ScrollManager = {
         console.log('📜 Scroll animations initialized');
     },
 
+    /**
+     * Publish section:enter as each section comes into view
+     */
+    initSectionTracking() {
+        const sections = document.querySelectorAll('section[id]');
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && entry.intersectionRatio > 0.3) {
+                    EventBus.emit('section:enter', { id: entry.target.id });
+                }
+            });
+        }, {
+            threshold: 0.3
+        });
+
+        sections.forEach(section => observer.observe(section));
+    },
+
     /**
      * Progress bar that tracks scroll position
      */
@@ -130,9 +163,7 @@ const ScrollManager = {
      */
     initSectionAnimations() {
         // Generic section animations
-        const sections = ['#nexus', '#vault', '#about', '#contact'];
-
-        sections.forEach(sectionId => {
+        this.revealSections.forEach(sectionId => {
             const section = document.querySelector(sectionId);
             if (!section) return;
 
@@ -154,22 +185,7 @@ const ScrollManager = {
             }
 
             // Cards animation
-            const cards = section.querySelectorAll('.card, .achievement-card, .tech-badge');
-            if (cards.length) {
-                gsap.from(cards, {
-                    y: 60,
-                    opacity: 0,
-                    scale: 0.95,
-                    duration: 0.6,
-                    stagger: 0.1,
-                    ease: 'power3.out',
-                    scrollTrigger: {
-                        trigger: section.querySelector('.nexus__grid, .vault__grid, .about__tech-grid'),
-                        start: 'top 80%',
-                        toggleActions: 'play none none reverse'
-                    }
-                });
-            }
+            this.initCardReveal(section);
         });
 
         // About section specific
@@ -205,6 +221,59 @@ const ScrollManager = {
         }
     },
 
+    /**
+     * Staggered card reveal for a section
+     * Safe to call again after the cards are re-rendered
+     * @param {HTMLElement} section - Section containing the cards
+     */
+    initCardReveal(section) {
+        const grid = section.querySelector('.nexus__grid, .vault__grid, .about__tech-grid');
+        const cards = Array.from(section.querySelectorAll('.card, .achievement-card, .tech-badge'));
+        if (!grid || !cards.length) return;
+
+        // Skip if this exact set of cards is already animated
+        const existing = this.cardReveals.get(grid);
+        if (existing && existing.cards.length === cards.length &&
+            existing.cards.every((card, i) => card === cards[i])) {
+            return;
+        }
+
+        // Drop the tween for the old cards before animating the new ones
+        if (existing) {
+            existing.tween.revert();
+        }
+
+        const tween = gsap.from(cards, {
+            y: 60,
+            opacity: 0,
+            scale: 0.95,
+            duration: 0.6,
+            stagger: 0.1,
+            ease: 'power3.out',
+            scrollTrigger: {
+                trigger: grid,
+                start: 'top 80%',
+                toggleActions: 'play none none reverse'
+            }
+        });
+
+        this.cardReveals.set(grid, { cards, tween });
+    },
+
+    /**
+     * Jump a grid's reveal to its end state and stop it reversing
+     * Used before other animations take over the cards (e.g. filtering)
+     * @param {HTMLElement} grid - Grid whose cards were revealed
+     */
+    settleCardReveal(grid) {
+        const reveal = this.cardReveals.get(grid);
+        if (!reveal || reveal.settled) return;
+
+        reveal.tween.scrollTrigger?.kill();
+        reveal.tween.progress(1);
+        reveal.settled = true;
+    },
+
     /**
      * Prologue section with pinned panels
      */
@@ -216,6 +285,7 @@ const ScrollManager = {
         const panels = prologue.querySelectorAll('.prologue__panel');
         const progressFill = prologue.querySelector('.prologue__progress-fill');
         const dots = prologue.querySelectorAll('.prologue__dot');
+        const status = prologue.querySelector('.prologue__status');
 
         if (!wrapper || panels.length === 0) return;
 
@@ -223,10 +293,13 @@ const ScrollManager = {
 
         // Activate first panel
         panels[0].classList.add('active');
-        if (dots[0]) dots[0].classList.add('active');
+        if (dots[0]) {
+            dots[0].classList.add('active');
+            dots[0].setAttribute('aria-current', 'step');
+        }
 
         // Create scroll trigger for prologue
-        ScrollTrigger.create({
+        this.prologueTrigger = ScrollTrigger.create({
             trigger: prologue,
             start: 'top top',
             end: 'bottom bottom',
@@ -238,6 +311,8 @@ const ScrollManager = {
                     progressFill.style.width = `${self.progress * 100}%`;
                 }
 
+                EventBus.emit('prologue:progress', { progress: self.progress });
+
                 // Calculate which panel should be active
                 const panelIndex = Math.min(
                     Math.floor(self.progress * panels.length),
@@ -249,19 +324,29 @@ const ScrollManager = {
                     panels[this.currentProloguePanel].classList.remove('active');
                     if (dots[this.currentProloguePanel]) {
                         dots[this.currentProloguePanel].classList.remove('active');
+                        dots[this.currentProloguePanel].removeAttribute('aria-current');
                     }
 
                     // Activate new panel
                     panels[panelIndex].classList.add('active');
                     if (dots[panelIndex]) {
                         dots[panelIndex].classList.add('active');
+                        dots[panelIndex].setAttribute('aria-current', 'step');
                     }
 
                     this.currentProloguePanel = panelIndex;
 
-                    // Trigger achievement if completed
-                    if (panelIndex === panels.length - 1 && window.AchievementManager) {
-                        window.AchievementManager.unlock('storyteller');
+                    // The panels swap in place, so tell screen readers which one is showing
+                    // (not when a reload lands past the prologue and it catches up)
+                    if (status && self.isActive) {
+                        status.textContent = `${this.getPanelTitle(panels[panelIndex])}, ${panelIndex + 1} of ${panels.length}`;
+                    }
+
+                    EventBus.emit('prologue:panel', { index: panelIndex, total: panels.length });
+
+                    // Reached the last chapter
+                    if (panelIndex === panels.length - 1) {
+                        EventBus.emit('prologue:complete');
                     }
                 }
             }
@@ -284,6 +369,110 @@ const ScrollManager = {
                 });
             }
         });
+
+        this.initPrologueNavigation(prologue, dots);
+    },
+
+    /**
+     * Jump between prologue panels with the dots, arrow/page keys and swipes
+     * @param {HTMLElement} prologue - Prologue section
+     * @param {NodeList} dots - Progress dot buttons
+     */
+    initPrologueNavigation(prologue, dots) {
+        dots.forEach((dot, index) => {
+            dot.addEventListener('click', () => this.scrollToProloguePanel(index));
+        });
+
+        // Only while pinned; past either end the keys scroll the page as usual
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"], [role="dialog"]')) return;
+            if (!this.prologueTrigger?.isActive) return;
+
+            const step = {
+                ArrowDown: 1, ArrowRight: 1, PageDown: 1,
+                ArrowUp: -1, ArrowLeft: -1, PageUp: -1
+            }[e.key];
+
+            if (step && this.stepProloguePanel(step)) {
+                e.preventDefault();
+            }
+        });
+
+        // Vertical swipes keep scrolling natively; sideways ones flip panels
+        let touchStart = null;
+        prologue.addEventListener('touchstart', (e) => {
+            touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }, { passive: true });
+
+        prologue.addEventListener('touchend', (e) => {
+            if (!touchStart || !this.prologueTrigger?.isActive) return;
+
+            const dx = e.changedTouches[0].clientX - touchStart.x;
+            const dy = e.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+
+            if (Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+                this.stepProloguePanel(dx < 0 ? 1 : -1);
+            }
+        }, { passive: true });
+    },
+
+    /**
+     * Move to the next or previous prologue panel
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {boolean} Whether there was a panel to move to
+     */
+    stepProloguePanel(step) {
+        const index = (this.prologueTarget ?? this.currentProloguePanel) + step;
+        if (index < 0 || index >= this.prologuePanels.length) return false;
+
+        this.scrollToProloguePanel(index);
+        return true;
+    },
+
+    /**
+     * Scroll to where a prologue panel becomes active
+     * @param {number} index - Panel index
+     */
+    scrollToProloguePanel(index) {
+        const trigger = this.prologueTrigger;
+        if (!trigger) return;
+
+        // onUpdate activates panel floor(progress * count), so its start is index / count
+        const progress = index / this.prologuePanels.length;
+        const y = Math.ceil(trigger.start + (trigger.end - trigger.start) * progress);
+
+        if (window.matchMedia('(prefers-reduced-motion: reduce)').matches || typeof ScrollToPlugin === 'undefined') {
+            window.scrollTo({ top: y });
+            return;
+        }
+
+        // overwrite interrupts a scroll already under way, which clears the old target first
+        gsap.to(window, {
+            duration: 0.8,
+            scrollTo: { y, autoKill: true },
+            ease: 'power3.inOut',
+            overwrite: true,
+            onComplete: () => {
+                this.prologueTarget = null;
+            },
+            onInterrupt: () => {
+                this.prologueTarget = null;
+            }
+        });
+        this.prologueTarget = index;
+    },
+
+    /**
+     * Chapter and heading of a prologue panel, for announcements
+     * @param {HTMLElement} panel - Prologue panel
+     * @returns {string} e.g. "Chapter II: The Journey"
+     */
+    getPanelTitle(panel) {
+        const chapter = panel.querySelector('.prologue__chapter')?.textContent.trim();
+        const heading = panel.querySelector('.prologue__heading')?.textContent.trim();
+        return [chapter, heading].filter(Boolean).join(': ');
     },
 
     /**
@@ -293,6 +482,10 @@ const ScrollManager = {
         const cards3D = document.querySelectorAll('.card--3d');
 
         cards3D.forEach(card => {
+            // Only bind each card once
+            if (this.tiltCards.has(card)) return;
+            this.tiltCards.add(card);
+
             card.addEventListener('mousemove', (e) => {
                 const rect = card.getBoundingClientRect();
                 const x = e.clientX - rect.left;
@@ -323,10 +516,41 @@ const ScrollManager = {
         });
     },
 
+    /**
+     * Pause all ScrollTriggers (e.g. while a modal overlay is open)
+     */
+    pause() {
+        if (typeof ScrollTrigger === 'undefined' || this.pausedTriggers) return;
+
+        // Keep pins and scrubbed tweens where they are
+        this.pausedTriggers = ScrollTrigger.getAll().filter(trigger => trigger.enabled);
+        this.pausedTriggers.forEach(trigger => trigger.disable(false));
+    },
+
+    /**
+     * Resume ScrollTriggers paused with pause()
+     */
+    resume() {
+        if (!this.pausedTriggers) return;
+
+        this.pausedTriggers.forEach(trigger => trigger.enable(false, false));
+        this.pausedTriggers = null;
+        ScrollTrigger.refresh();
+    },
+
     /**
      * Refresh ScrollTrigger (call after DOM changes)
+     * Also picks up cards that were rendered after init
      */
     refresh() {
+        if (typeof ScrollTrigger === 'undefined' || this.pausedTriggers) return;
+
+        this.revealSections.forEach(sectionId => {
+            const section = document.querySelector(sectionId);
+            if (section) this.initCardReveal(section);
+        });
+        this.initCardParallax();
+
         ScrollTrigger.refresh();
     }
 };
@@ -0,0 +1,205 @@
+/**
+ * store.js - Versioned Storage Layer
+ * Namespaced, migrated localStorage with an in-memory fallback and cross-tab sync
+ */
+
+const Store = {
+    namespace: 'metalayer',
+    // Bump when the stored shapes change, and add a migration from the old version
+    version: 2,
+    versionKey: 'schema',
+
+    /**
+     * Upgrades for older layouts: migrations[n] turns a version n store into version n + 1
+     */
+    migrations: {
+        // Version 1: un-namespaced "metalayer-*" keys, the theme stored as a bare string
+        1: (store) => {
+            const legacy = {
+                achievements: 'metalayer-achievements',
+                audio: 'metalayer-audio',
+                theme: 'metalayer-theme'
+            };
+
+            Object.entries(legacy).forEach(([key, legacyKey]) => {
+                const raw = store.read(legacyKey);
+                if (raw === null) return;
+
+                try {
+                    store.set(key, key === 'theme' ? raw : JSON.parse(raw));
+                } catch (e) {
+                    console.warn(`Dropping unreadable ${legacyKey}:`, e);
+                }
+                store.delete(legacyKey);
+            });
+        }
+    },
+
+    // Used instead of localStorage when it's unavailable (e.g. blocked or full)
+    memory: new Map(),
+    available: false,
+
+    /**
+     * Detect storage support, migrate old data and start cross-tab sync
+     */
+    init() {
+        this.available = this.detect();
+        this.migrate();
+
+        // Other tabs writing our keys (theme changes, unlocks, ...)
+        window.addEventListener('storage', (e) => this.onStorage(e));
+
+        console.log(`🗄️ Store initialized (${this.available ? 'localStorage' : 'in-memory'}, v${this.version})`);
+    },
+
+    /**
+     * Check that localStorage can actually be written
+     * @returns {boolean}
+     */
+    detect() {
+        try {
+            const probe = `${this.namespace}:probe`;
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (e) {
+            console.warn('localStorage unavailable, progress will only last this session:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Run every migration between the stored schema version and the current one
+     */
+    migrate() {
+        let version = Number(this.get(this.versionKey)) || 1;
+
+        if (version > this.version) {
+            console.warn(`Stored data is from a newer schema (v${version}); leaving it untouched`);
+            return;
+        }
+
+        while (version < this.version) {
+            this.migrations[version]?.(this);
+            version++;
+        }
+
+        this.set(this.versionKey, this.version);
+    },
+
+    /**
+     * Read a value
+     * @param {string} key - Key without the namespace, e.g. 'theme'
+     * @param {*} [fallback=null] - Returned when the key is missing or unreadable
+     * @returns {*} Stored value
+     */
+    get(key, fallback = null) {
+        const raw = this.read(this.toStorageKey(key));
+        if (raw === null) return fallback;
+
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            console.warn(`Could not read "${key}" from storage:`, e);
+            return fallback;
+        }
+    },
+
+    /**
+     * Write a value
+     * @param {string} key - Key without the namespace, e.g. 'theme'
+     * @param {*} value - Any JSON-serializable value
+     */
+    set(key, value) {
+        this.write(this.toStorageKey(key), JSON.stringify(value));
+    },
+
+    /**
+     * Remove a value
+     * @param {string} key - Key without the namespace, e.g. 'theme'
+     */
+    remove(key) {
+        this.delete(this.toStorageKey(key));
+    },
+
+    /**
+     * @param {string} key - Key without the namespace
+     * @returns {string} Full storage key, e.g. "metalayer:theme"
+     */
+    toStorageKey(key) {
+        return `${this.namespace}:${key}`;
+    },
+
+    /**
+     * Read a raw string, preferring anything kept in memory
+     * @param {string} name - Full storage key
+     * @returns {string|null}
+     */
+    read(name) {
+        if (this.memory.has(name)) return this.memory.get(name);
+        if (!this.available) return null;
+
+        try {
+            return localStorage.getItem(name);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Write a raw string, falling back to memory if storage rejects it
+     * @param {string} name - Full storage key
+     * @param {string} raw - Serialized value
+     */
+    write(name, raw) {
+        if (this.available) {
+            try {
+                localStorage.setItem(name, raw);
+                this.memory.delete(name);
+                return;
+            } catch (e) {
+                console.warn(`Could not save "${name}", keeping it in memory:`, e);
+            }
+        }
+        this.memory.set(name, raw);
+    },
+
+    /**
+     * Remove a raw key from storage and memory
+     * @param {string} name - Full storage key
+     */
+    delete(name) {
+        this.memory.delete(name);
+        if (!this.available) return;
+
+        try {
+            localStorage.removeItem(name);
+        } catch (e) {
+            // Nothing stored to remove
+        }
+    },
+
+    /**
+     * Forward writes from other tabs to the event bus
+     * @param {StorageEvent} e - Storage event
+     */
+    onStorage(e) {
+        const prefix = `${this.namespace}:`;
+        if (!e.key || !e.key.startsWith(prefix)) return;
+
+        const key = e.key.slice(prefix.length);
+        if (key === this.versionKey) return;
+
+        let value = null;
+        try {
+            value = e.newValue === null ? null : JSON.parse(e.newValue);
+        } catch (err) {
+            return;
+        }
+
+        EventBus.emit('storage:changed', { key, value });
+    }
+};
+
+// Export for use in other modules
+window.Store = Store;
@@ -0,0 +1,257 @@
+/**
+ * theme-builder.js - Custom Theme Builder
+ * Builds a theme from three seed colors with a live preview and WCAG contrast checks
+ */
+
+const ThemeBuilder = {
+    panel: null,
+    form: null,
+    contrastList: null,
+    savedList: null,
+    lastFocused: null,
+    isOpen: false,
+
+    // Color pairs the portal renders, with their WCAG AA minimum ratio
+    checks: [
+        { label: 'Body text', fg: '--text', bg: '--bg', min: 4.5 },
+        { label: 'Muted text', fg: '--text-muted', bg: '--bg', min: 4.5 },
+        { label: 'Card text', fg: '--text', bg: '--bg-elevated', min: 4.5 },
+        { label: 'Button text', fg: '--bg', bg: '--primary', min: 4.5 },
+        { label: 'Accents', fg: '--primary', bg: '--bg', min: 3 }
+    ],
+
+    /**
+     * Initialize the builder panel
+     */
+    init() {
+        this.panel = document.querySelector('.theme-builder');
+        if (!this.panel || !window.ThemeManager) return;
+
+        this.form = this.panel.querySelector('.theme-builder__form');
+        this.contrastList = this.panel.querySelector('.theme-builder__contrast');
+        this.savedList = this.panel.querySelector('.theme-builder__list');
+
+        this.setupEventListeners();
+
+        console.log('🖌️ Theme Builder initialized');
+    },
+
+    /**
+     * Set up open/close, live preview and saving
+     */
+    setupEventListeners() {
+        const create = document.querySelector('.theme-selector__create');
+        if (create) {
+            create.addEventListener('click', () => this.open());
+        }
+
+        // Every color or name change re-derives the preview
+        this.form.addEventListener('input', () => this.update());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-builder-close]')) {
+                this.close();
+                return;
+            }
+
+            const remove = e.target.closest('[data-delete-theme]');
+            if (remove) {
+                window.ThemeManager.deleteCustomTheme(remove.getAttribute('data-delete-theme'));
+                this.renderSavedList();
+                this.update();
+            }
+        });
+
+        // Escape closes, Tab stays inside the builder
+        document.addEventListener('keydown', (e) => {
+            if (!this.isOpen) return;
+
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        // Custom themes added or deleted in another tab
+        EventBus.on('storage:changed', ({ key }) => {
+            if (this.isOpen && key === window.ThemeManager.customStorageKey) {
+                this.renderSavedList();
+            }
+        });
+    },
+
+    /**
+     * Open the builder, seeded with the current theme's colors
+     */
+    open() {
+        const theme = window.ThemeManager.getCurrentTheme();
+        const bg = getComputedStyle(document.body).getPropertyValue('--bg').trim();
+
+        this.form.elements.name.value = '';
+        this.form.elements.primary.value = theme.primary.toLowerCase();
+        this.form.elements.secondary.value = theme.secondary.toLowerCase();
+        this.form.elements.bg.value = /^#[0-9a-f]{6}$/i.test(bg) ? bg.toLowerCase() : '#0a0a0f';
+
+        // Close the theme dropdown the builder was opened from, and return to its toggle
+        // afterwards, as "Create Theme" is hidden along with the dropdown
+        const toggle = document.querySelector('.theme-selector__toggle');
+        toggle?.setAttribute('aria-expanded', 'false');
+
+        this.lastFocused = document.activeElement?.closest('.theme-selector__dropdown')
+            ? toggle
+            : document.activeElement;
+        this.isOpen = true;
+        this.panel.hidden = false;
+
+        if (typeof gsap !== 'undefined') {
+            gsap.fromTo(this.panel, { x: 40, opacity: 0 }, { x: 0, opacity: 1, duration: 0.4, ease: 'power3.out' });
+        }
+
+        this.renderSavedList();
+        this.update();
+        this.form.elements.name.focus();
+    },
+
+    /**
+     * Close the builder and drop the preview
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.panel.hidden = true;
+        window.ThemeManager.endPreview();
+
+        if (this.lastFocused && document.contains(this.lastFocused)) {
+            this.lastFocused.focus();
+        }
+        this.lastFocused = null;
+    },
+
+    /**
+     * Keep Tab and Shift+Tab cycling within the builder
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.panel.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        ));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        // Pull focus back in if it escaped (e.g. after clicking the previewed page)
+        if (!this.panel.contains(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Read the seed colors from the form
+     * @returns {{name: string, primary: string, secondary: string, bg: string}}
+     */
+    getSeeds() {
+        const { name, primary, secondary, bg } = this.form.elements;
+        return {
+            name: name.value.trim() || 'Custom Theme',
+            primary: primary.value.toUpperCase(),
+            secondary: secondary.value.toUpperCase(),
+            bg: bg.value.toUpperCase()
+        };
+    },
+
+    /**
+     * Preview the derived theme and refresh the contrast report
+     */
+    update() {
+        const palette = window.ThemeManager.derivePalette(this.getSeeds());
+        const vars = window.ThemeManager.getVariables(palette);
+        window.ThemeManager.preview(vars);
+        this.renderContrast(vars);
+    },
+
+    /**
+     * List each color pair's contrast ratio against WCAG AA
+     * @param {Object} vars - Derived CSS custom properties
+     */
+    renderContrast(vars) {
+        this.contrastList.innerHTML = '';
+
+        this.checks.forEach(check => {
+            const ratio = window.ThemeManager.getContrastRatio(vars[check.fg], vars[check.bg]);
+            const passes = ratio >= check.min;
+
+            const item = document.createElement('li');
+            item.className = `theme-builder__check${passes ? '' : ' theme-builder__check--fail'}`;
+            item.innerHTML = `
+                <span class="theme-builder__check-sample"></span>
+                <span class="theme-builder__check-label"></span>
+                <span class="theme-builder__check-result"></span>
+            `;
+
+            const sample = item.querySelector('.theme-builder__check-sample');
+            sample.textContent = 'Aa';
+            sample.style.color = vars[check.fg];
+            sample.style.background = vars[check.bg];
+            item.querySelector('.theme-builder__check-label').textContent = check.label;
+            item.querySelector('.theme-builder__check-result').textContent =
+                `${ratio.toFixed(2)}:1 ${passes ? 'AA ✓' : `below ${check.min}:1`}`;
+
+            this.contrastList.appendChild(item);
+        });
+    },
+
+    /**
+     * Save the theme, switch to it and close the builder
+     */
+    save() {
+        const id = window.ThemeManager.saveCustomTheme(this.getSeeds());
+
+        window.ThemeManager.endPreview();
+        window.ThemeManager.apply(id, { source: 'builder' });
+
+        this.close();
+    },
+
+    /**
+     * List saved custom themes with delete buttons
+     */
+    renderSavedList() {
+        const custom = window.ThemeManager.themes.filter(t => t.custom);
+        this.savedList.closest('.theme-builder__saved').hidden = !custom.length;
+        this.savedList.innerHTML = '';
+
+        custom.forEach(theme => {
+            const item = document.createElement('li');
+            item.className = 'theme-builder__saved-item';
+            item.innerHTML = `
+                <span class="theme-option__swatch"></span>
+                <span class="theme-builder__saved-name"></span>
+                <button type="button" class="theme-builder__delete" data-delete-theme="${theme.id}">Delete</button>
+            `;
+            item.querySelector('.theme-option__swatch').style.background =
+                `linear-gradient(135deg, ${theme.primary}, ${theme.secondary})`;
+            item.querySelector('.theme-builder__saved-name').textContent = theme.name;
+            item.querySelector('.theme-builder__delete').setAttribute('aria-label', `Delete ${theme.name}`);
+
+            this.savedList.appendChild(item);
+        });
+    }
+};
+
+// Export for use in other modules
+window.ThemeBuilder = ThemeBuilder;
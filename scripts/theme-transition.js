@@ -0,0 +1,187 @@
+/**
+ * theme-transition.js - Animated Theme Switching
+ * Circular View Transitions reveal, with a GSAP CSS variable tween as the fallback
+ */
+
+const ThemeTransition = {
+    duration: 0.6,
+    ease: 'power2.inOut',
+    // CSS equivalent of the GSAP ease, for the View Transitions reveal
+    easing: 'cubic-bezier(0.45, 0, 0.55, 1)',
+
+    // Last pointer press, so menu clicks reveal from where the visitor clicked
+    pointer: null,
+    pointerTimeout: 1000,
+
+    reducedMotion: null,
+    viewTransition: null,
+    tween: null,
+
+    /**
+     * Initialize pointer tracking and the reduced motion query
+     */
+    init() {
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        document.addEventListener('pointerdown', (e) => {
+            this.pointer = { x: e.clientX, y: e.clientY, time: performance.now() };
+        }, { capture: true, passive: true });
+
+        const mode = typeof document.startViewTransition === 'function' ? 'View Transitions' : 'GSAP';
+        console.log(`🌗 Theme transitions initialized (${mode})`);
+    },
+
+    /**
+     * Run a theme swap, animated when the browser and the visitor allow it
+     * @param {Function} update - Swaps the theme on the page
+     * @param {Object} [options]
+     * @param {string} [options.source] - What triggered the change, see ThemeManager.apply
+     */
+    run(update, { source } = {}) {
+        if (!this.shouldAnimate()) {
+            this.cancel();
+            update();
+            return;
+        }
+
+        if (typeof document.startViewTransition === 'function') {
+            this.reveal(update, this.getOrigin(source));
+        } else if (typeof gsap !== 'undefined') {
+            this.interpolate(update);
+        } else {
+            update();
+        }
+    },
+
+    /**
+     * @returns {boolean} Whether the next swap should be animated
+     */
+    shouldAnimate() {
+        // Builder previews set the same inline variables the GSAP tween uses
+        return !this.reducedMotion?.matches && !document.hidden && !window.ThemeManager?.previewVars;
+    },
+
+    /**
+     * Jump any running transition to its end state
+     */
+    cancel() {
+        this.viewTransition?.skipTransition();
+        if (this.tween) {
+            this.tween.kill();
+            this.tween = null;
+            this.clearVariables();
+            document.documentElement.classList.remove('theme-transitioning');
+        }
+    },
+
+    /**
+     * Where the reveal starts: the click for pointer-driven changes, otherwise the theme button
+     * @param {string} [source] - What triggered the change
+     * @returns {{x: number, y: number}} Viewport coordinates
+     */
+    getOrigin(source) {
+        const recent = this.pointer && performance.now() - this.pointer.time < this.pointerTimeout;
+        if (source !== 'keyboard' && recent) {
+            return { x: this.pointer.x, y: this.pointer.y };
+        }
+
+        const rect = document.querySelector('.theme-selector__toggle')?.getBoundingClientRect();
+        if (rect && rect.width) {
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        }
+        return { x: window.innerWidth / 2, y: 0 };
+    },
+
+    /**
+     * Reveal the new theme in a circle growing from a point (View Transitions API)
+     * @param {Function} update - Swaps the theme on the page
+     * @param {{x: number, y: number}} origin - Center of the circle
+     */
+    reveal(update, { x, y }) {
+        const root = document.documentElement;
+
+        // A newer switch finishes the running reveal instantly and starts its own
+        this.viewTransition?.skipTransition();
+
+        const transition = document.startViewTransition(() => {
+            root.classList.add('theme-transitioning');
+            update();
+        });
+        this.viewTransition = transition;
+
+        // Far enough to cover the corner furthest from the origin
+        const radius = Math.hypot(Math.max(x, window.innerWidth - x), Math.max(y, window.innerHeight - y));
+
+        transition.ready
+            .then(() => {
+                root.animate(
+                    { clipPath: [`circle(0px at ${x}px ${y}px)`, `circle(${radius}px at ${x}px ${y}px)`] },
+                    { duration: this.duration * 1000, easing: this.easing, pseudoElement: '::view-transition-new(root)' }
+                );
+            })
+            // Skipped before the snapshots were ready
+            .catch(() => {});
+
+        transition.finished.finally(() => {
+            if (this.viewTransition !== transition) return;
+            this.viewTransition = null;
+            root.classList.remove('theme-transitioning');
+        });
+    },
+
+    /**
+     * Tween the theme's CSS custom properties from the old values to the new ones (GSAP)
+     * @param {Function} update - Swaps the theme on the page
+     */
+    interpolate(update) {
+        // Start from what is on screen, which may be part-way through a previous switch
+        const from = this.readVariables();
+
+        this.tween?.kill();
+        this.clearVariables();
+        update();
+        const to = this.readVariables();
+
+        document.documentElement.classList.add('theme-transitioning');
+        this.tween = gsap.fromTo(document.body, from, {
+            ...to,
+            duration: this.duration,
+            ease: this.ease,
+            onComplete: () => {
+                this.tween = null;
+                this.clearVariables();
+                document.documentElement.classList.remove('theme-transitioning');
+            }
+        });
+    },
+
+    /**
+     * Names of the custom properties every theme sets
+     * @returns {Array<string>}
+     */
+    getVariableNames() {
+        // Every theme sets the same ones; the current theme may have just been deleted
+        return Object.keys(window.ThemeManager.getVariables(window.ThemeManager.themes[0]));
+    },
+
+    /**
+     * Current computed theme variables on <body>
+     * @returns {Object} e.g. { '--primary': '#8B5CF6', ... }
+     */
+    readVariables() {
+        const style = getComputedStyle(document.body);
+        return Object.fromEntries(
+            this.getVariableNames().map(name => [name, style.getPropertyValue(name).trim()])
+        );
+    },
+
+    /**
+     * Drop the inline variables the tween wrote, leaving the [data-theme] rule in charge
+     */
+    clearVariables() {
+        this.getVariableNames().forEach(name => document.body.style.removeProperty(name));
+    }
+};
+
+// Export for use in other modules
+window.ThemeTransition = ThemeTransition;
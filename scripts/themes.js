@@ -4,34 +4,205 @@
  */
 
 const ThemeManager = {
+    /**
+     * Theme registry: the single source for the menu, the swatches and the
+     * [data-theme] CSS custom properties (written at runtime by renderStyles)
+     */
     themes: [
-        { id: 'mocha-mousse', name: 'Mocha Mousse', primary: '#A47663', secondary: '#D4C4B5' },
-        { id: 'velvet-dusk', name: 'Velvet Dusk', primary: '#8B5CF6', secondary: '#F472B6' },
-        { id: 'bioluminescent', name: 'Bioluminescent', primary: '#00FFD1', secondary: '#00B4D8' },
-        { id: 'rose-gold-noir', name: 'Rose Gold Noir', primary: '#B76E79', secondary: '#E8C4C4' },
-        { id: 'aurora-borealis', name: 'Aurora Borealis', primary: '#A855F7', secondary: '#22D3EE' },
-        { id: 'peach-fuzz', name: 'Peach Fuzz', primary: '#FFBE98', secondary: '#FED7AA' },
-        { id: 'obsidian-flame', name: 'Obsidian Flame', primary: '#F97316', secondary: '#FBBF24' },
-        { id: 'vintage-synthwave', name: 'Vintage Synthwave', primary: '#FF6B9D', secondary: '#00D4FF' },
-        { id: 'sage-serenity', name: 'Sage Serenity', primary: '#84CC16', secondary: '#A3E635' },
-        { id: 'chrome-mirage', name: 'Chrome Mirage', primary: '#A1A1AA', secondary: '#E4E4E7' }
+        // Pantone 2025
+        {
+            id: 'mocha-mousse',
+            name: 'Mocha Mousse',
+            primary: '#A47663',
+            secondary: '#D4C4B5',
+            bg: '#1A1614',
+            bgElevated: '#252019',
+            text: '#F5F0EB',
+            textMuted: '#A89A8C'
+        },
+        // Chromatic gradients
+        {
+            id: 'velvet-dusk',
+            name: 'Velvet Dusk',
+            primary: '#8B5CF6',
+            secondary: '#F472B6',
+            bg: '#0F0A1A',
+            bgElevated: '#1A1329',
+            text: '#F8F5FF',
+            textMuted: '#9D8BBF'
+        },
+        // Deep sea luxury
+        {
+            id: 'bioluminescent',
+            name: 'Bioluminescent',
+            primary: '#00FFD1',
+            secondary: '#00B4D8',
+            bg: '#030712',
+            bgElevated: '#0A1628',
+            text: '#E0FFFA',
+            textMuted: '#5EEAD4'
+        },
+        // Metallic elegance
+        {
+            id: 'rose-gold-noir',
+            name: 'Rose Gold Noir',
+            primary: '#B76E79',
+            secondary: '#E8C4C4',
+            bg: '#1C1917',
+            bgElevated: '#292524',
+            text: '#FDF4F5',
+            textMuted: '#CBA8AE'
+        },
+        // Northern lights
+        {
+            id: 'aurora-borealis',
+            name: 'Aurora Borealis',
+            primary: '#A855F7',
+            secondary: '#22D3EE',
+            bg: '#020617',
+            bgElevated: '#0F172A',
+            text: '#F0F9FF',
+            textMuted: '#94A3B8'
+        },
+        // Pantone 2024
+        {
+            id: 'peach-fuzz',
+            name: 'Peach Fuzz',
+            primary: '#FFBE98',
+            secondary: '#FED7AA',
+            bg: '#18181B',
+            bgElevated: '#27272A',
+            text: '#FFFBEB',
+            textMuted: '#D4A574'
+        },
+        // Ember metallic
+        {
+            id: 'obsidian-flame',
+            name: 'Obsidian Flame',
+            primary: '#F97316',
+            secondary: '#FBBF24',
+            bg: '#0C0A09',
+            bgElevated: '#1C1917',
+            text: '#FFFBEB',
+            textMuted: '#D97706'
+        },
+        // Retro-futuristic
+        {
+            id: 'vintage-synthwave',
+            name: 'Vintage Synthwave',
+            primary: '#FF6B9D',
+            secondary: '#00D4FF',
+            bg: '#1A0A2E',
+            bgElevated: '#2D1B4E',
+            text: '#FFF0F5',
+            textMuted: '#C778DD'
+        },
+        // Biophilic earth tones
+        {
+            id: 'sage-serenity',
+            name: 'Sage Serenity',
+            primary: '#84CC16',
+            secondary: '#A3E635',
+            bg: '#0A0F0A',
+            bgElevated: '#14231A',
+            text: '#F0FDF4',
+            textMuted: '#6B8F71'
+        },
+        // Monochromatic luxury
+        {
+            id: 'chrome-mirage',
+            name: 'Chrome Mirage',
+            primary: '#A1A1AA',
+            secondary: '#E4E4E7',
+            bg: '#09090B',
+            bgElevated: '#18181B',
+            text: '#FAFAFA',
+            textMuted: '#71717A'
+        },
+        // Bonus theme, unlocked through ProgressionManager rewards
+        {
+            id: 'neon-arcade',
+            name: 'Neon Arcade',
+            primary: '#39FF14',
+            secondary: '#FFE600',
+            bg: '#050805',
+            bgElevated: '#0F1A0F',
+            text: '#F4FFF0',
+            textMuted: '#7FA87A',
+            reward: true
+        }
     ],
     
+    /**
+     * "Auto" mode: themes picked from the visitor's OS settings and local time.
+     * Every palette is dark, so the light pool holds the warmest, brightest ones.
+     */
+    auto: {
+        // Preferred themes per setting, in order (locked or missing ones are skipped)
+        pool: {
+            dark: ['velvet-dusk', 'aurora-borealis', 'bioluminescent'],
+            light: ['peach-fuzz', 'mocha-mousse', 'rose-gold-noir'],
+            contrast: ['bioluminescent', 'chrome-mirage']
+        },
+        // Optional local time schedule; entries without a theme follow the pool. [] turns it off
+        schedule: [
+            { from: '06:00', theme: 'peach-fuzz' },
+            { from: '11:00' },
+            { from: '21:00', theme: 'obsidian-flame' }
+        ]
+    },
+    
     currentTheme: 'velvet-dusk',
-    storageKey: 'metalayer-theme',
+    defaultTheme: 'velvet-dusk',
+    storageKey: 'theme',
+    autoStorageKey: 'theme-auto',
+    autoEnabled: false,
+    autoTimer: null,
+    mediaQueries: null,
+    // Seed colors of themes made with the theme builder
+    customStorageKey: 'custom-themes',
+    styleElement: null,
+    previewVars: null,
+    
+    // Changes the visitor didn't choose: restoring, following another tab, Auto, or replacing a deleted theme
+    automaticSources: ['init', 'sync', 'auto', 'fallback'],
+    
+    // Ids of the themes in the rendered menu, to skip rebuilding it when nothing was unlocked
+    menuThemes: '',
+    
+    // Menu typeahead: letters typed in quick succession
+    typeahead: '',
+    typeaheadTimer: null,
     
     /**
      * Initialize the theme system
      */
     init() {
+        // Custom themes first, so a saved custom theme can be restored
+        this.loadCustomThemes();
+        
         // Load saved theme or use default
-        const savedTheme = localStorage.getItem(this.storageKey);
+        const savedTheme = Store.get(this.storageKey);
         if (savedTheme && this.themes.find(t => t.id === savedTheme)) {
             this.currentTheme = savedTheme;
         }
         
+        // New visitors start in Auto; anyone who picked a theme keeps it
+        const savedAuto = Store.get(this.autoStorageKey);
+        this.autoEnabled = savedAuto === null ? savedTheme === null : !!savedAuto;
+        
+        // apply() saves the theme Auto picks, which would read as a manual pick on the next visit
+        if (savedAuto === null) {
+            Store.set(this.autoStorageKey, this.autoEnabled);
+        }
+        this.mediaQueries = {
+            light: window.matchMedia('(prefers-color-scheme: light)'),
+            contrast: window.matchMedia('(prefers-contrast: more)')
+        };
+        
         // Apply the theme
-        this.apply(this.currentTheme);
+        this.apply(this.autoEnabled ? this.resolveAuto() : this.currentTheme, { source: 'init' });
+        this.scheduleAuto();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -42,17 +213,30 @@ const ThemeManager = {
     /**
      * Apply a theme to the document
      * @param {string} themeId - The theme identifier
+     * @param {Object} [options]
+     * @param {string} [options.source='api'] - What triggered the change ('init', 'menu', 'keyboard', 'sync', 'auto', 'fallback', ...)
      */
-    apply(themeId) {
+    apply(themeId, { source = 'api' } = {}) {
         const theme = this.themes.find(t => t.id === themeId);
         if (!theme) return;
         
-        // Update data attribute
-        document.body.setAttribute('data-theme', themeId);
+        // Picking a theme by hand overrides Auto until it is chosen again
+        const manual = !this.automaticSources.includes(source);
+        if (manual) {
+            this.setAuto(false);
+        }
+        
+        // Update data attribute, animated unless restoring the saved theme
+        const swap = () => document.body.setAttribute('data-theme', themeId);
+        if (window.ThemeTransition && source !== 'init') {
+            window.ThemeTransition.run(swap, { source });
+        } else {
+            swap();
+        }
         this.currentTheme = themeId;
         
-        // Save to localStorage
-        localStorage.setItem(this.storageKey, themeId);
+        // Save (kept in memory if storage is blocked)
+        Store.set(this.storageKey, themeId);
         
         // Update meta theme-color for mobile browsers
         const metaTheme = document.querySelector('meta[name="theme-color"]');
@@ -60,10 +244,11 @@ const ThemeManager = {
             metaTheme.setAttribute('content', theme.primary);
         }
         
-        // Dispatch custom event for other modules
-        window.dispatchEvent(new CustomEvent('themeChanged', { 
-            detail: { theme: themeId, data: theme } 
-        }));
+        // Move the menu checkmark
+        this.updateMenuState();
+        
+        // Notify other modules
+        EventBus.emit('theme:changed', { theme: themeId, data: theme, source, manual });
     },
     
     /**
@@ -74,13 +259,465 @@ const ThemeManager = {
         return this.themes.find(t => t.id === this.currentTheme);
     },
     
+    /**
+     * Check whether a theme can be picked (bonus themes need their reward)
+     * @param {Object} theme - Theme object
+     * @returns {boolean}
+     */
+    isAvailable(theme) {
+        return !theme.reward || !!window.ProgressionManager?.isRewardUnlocked('theme', theme.id);
+    },
+    
     /**
      * Cycle to the next theme
      */
     nextTheme() {
-        const currentIndex = this.themes.findIndex(t => t.id === this.currentTheme);
-        const nextIndex = (currentIndex + 1) % this.themes.length;
-        this.apply(this.themes[nextIndex].id);
+        const available = this.themes.filter(t => this.isAvailable(t));
+        const currentIndex = available.findIndex(t => t.id === this.currentTheme);
+        const nextIndex = (currentIndex + 1) % available.length;
+        this.apply(available[nextIndex].id, { source: 'keyboard' });
+    },
+    
+    /**
+     * Turn Auto mode on or off
+     * @param {boolean} enabled - Whether Auto picks the theme
+     * @param {Object} [options]
+     * @param {boolean} [options.persist=true] - Save the choice (off when following another tab)
+     */
+    setAuto(enabled, { persist = true } = {}) {
+        const changed = enabled !== this.autoEnabled;
+        this.autoEnabled = enabled;
+        if (persist && changed) {
+            Store.set(this.autoStorageKey, enabled);
+        }
+        
+        if (enabled) {
+            this.applyAuto();
+        } else {
+            clearTimeout(this.autoTimer);
+            this.updateMenuState();
+        }
+    },
+    
+    /**
+     * Switch to the theme Auto currently picks, and wait for the next schedule boundary
+     */
+    applyAuto() {
+        if (!this.autoEnabled) return;
+        
+        const themeId = this.resolveAuto();
+        if (themeId !== this.currentTheme) {
+            this.apply(themeId, { source: 'auto' });
+        } else {
+            this.updateMenuState();
+        }
+        this.scheduleAuto();
+    },
+    
+    /**
+     * Theme for the current OS settings and time of day
+     * @param {Date} [now=new Date()] - Local time to resolve for
+     * @returns {string} Theme id
+     */
+    resolveAuto(now = new Date()) {
+        const { pool } = this.auto;
+        
+        // High contrast wins over the schedule, which wins over the color scheme
+        const highContrast = !!this.mediaQueries?.contrast.matches;
+        const slot = highContrast ? null : this.getScheduleSlot(now);
+        const candidates = [
+            ...(highContrast ? pool.contrast : []),
+            ...(slot?.theme ? [slot.theme] : []),
+            ...(this.mediaQueries?.light.matches ? pool.light : pool.dark)
+        ];
+        
+        const theme = candidates
+            .map(id => this.themes.find(t => t.id === id))
+            .find(t => t && this.isAvailable(t));
+        return theme ? theme.id : this.defaultTheme;
+    },
+    
+    /**
+     * Schedule entry in effect at a given time (the last one of the day carries on past midnight)
+     * @param {Date} now - Local time
+     * @returns {Object|null} Schedule entry, or null without a schedule
+     */
+    getScheduleSlot(now) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const slots = this.getSchedule();
+        if (!slots.length) return null;
+        
+        return [...slots].reverse().find(slot => slot.start <= minutes) || slots[slots.length - 1];
+    },
+    
+    /**
+     * Schedule entries sorted by start time
+     * @returns {Array<Object>} Entries with a `start` in minutes after midnight
+     */
+    getSchedule() {
+        return (this.auto.schedule || [])
+            .map(slot => {
+                const [hours, minutes] = slot.from.split(':').map(Number);
+                return { ...slot, start: hours * 60 + minutes };
+            })
+            .sort((a, b) => a.start - b.start);
+    },
+    
+    /**
+     * Re-check Auto when the next schedule entry starts
+     */
+    scheduleAuto() {
+        clearTimeout(this.autoTimer);
+        const slots = this.getSchedule();
+        if (!this.autoEnabled || !slots.length) return;
+        
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const next = slots.find(slot => slot.start > minutes) || { start: slots[0].start + 24 * 60 };
+        const delay = (next.start - minutes) * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
+        
+        this.autoTimer = setTimeout(() => this.applyAuto(), delay);
+    },
+    
+    /**
+     * Load custom themes from storage and register them
+     */
+    loadCustomThemes() {
+        const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+        const saved = Store.get(this.customStorageKey, []);
+        
+        this.themes = this.themes.filter(t => !t.custom);
+        (Array.isArray(saved) ? saved : [])
+            // Saves can be imported or synced, so only trust well-formed entries
+            .filter(t => /^custom-[a-z0-9-]+$/.test(t.id) && isColor(t.primary) && isColor(t.secondary) && isColor(t.bg))
+            .forEach(({ id, name, primary, secondary, bg }) => {
+                this.themes.push({
+                    id,
+                    name: String(name || 'Custom Theme'),
+                    custom: true,
+                    ...this.derivePalette({ primary, secondary, bg })
+                });
+            });
+        
+        this.renderStyles();
+        this.renderMenu();
+    },
+    
+    /**
+     * Save a new custom theme
+     * @param {Object} seeds - { name, primary, secondary, bg } with hex colors
+     * @returns {string} New theme id
+     */
+    saveCustomTheme({ name, primary, secondary, bg }) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        let id = `custom-${slug}`;
+        for (let n = 2; this.themes.some(t => t.id === id); n++) {
+            id = `custom-${slug}-${n}`;
+        }
+        
+        const saved = this.getCustomSeeds();
+        saved.push({ id, name, primary, secondary, bg });
+        
+        Store.set(this.customStorageKey, saved);
+        this.loadCustomThemes();
+        return id;
+    },
+    
+    /**
+     * Delete a custom theme, falling back to the default if it was active
+     * @param {string} themeId - Custom theme id
+     */
+    deleteCustomTheme(themeId) {
+        Store.set(this.customStorageKey, this.getCustomSeeds().filter(t => t.id !== themeId));
+        this.loadCustomThemes();
+        
+        // Not the visitor's pick, so Auto and the theme-picking achievements stay untouched
+        if (this.currentTheme === themeId) {
+            this.apply(this.defaultTheme, { source: 'fallback' });
+        }
+    },
+    
+    /**
+     * Seed colors of the registered custom themes, as stored
+     * @returns {Array<Object>} [{ id, name, primary, secondary, bg }]
+     */
+    getCustomSeeds() {
+        return this.themes
+            .filter(t => t.custom)
+            .map(({ id, name, primary, secondary, bg }) => ({ id, name, primary, secondary, bg }));
+    },
+    
+    /**
+     * Derive a full palette from three seed colors
+     * @param {Object} seeds - { primary, secondary, bg } hex colors
+     * @returns {Object} { primary, secondary, bg, bgElevated, text, textMuted }
+     */
+    derivePalette({ primary, secondary, bg }) {
+        // Near-white text on dark backgrounds (near-black on light), tinted like the built-ins
+        const isDark = this.getContrastRatio('#FFFFFF', bg) >= this.getContrastRatio('#000000', bg);
+        const text = this.mixColors(isDark ? '#FFFFFF' : '#000000', primary, 0.06);
+        
+        // Muted text sits as close to the background as AA contrast allows
+        let textMuted = text;
+        for (let amount = 0.6; amount > 0; amount -= 0.05) {
+            const candidate = this.mixColors(text, bg, amount);
+            if (this.getContrastRatio(candidate, bg) >= 4.5) {
+                textMuted = candidate;
+                break;
+            }
+        }
+        
+        return {
+            primary,
+            secondary,
+            bg,
+            bgElevated: this.mixColors(this.mixColors(bg, text, 0.04), primary, 0.06),
+            text,
+            textMuted
+        };
+    },
+    
+    /**
+     * Expand a palette into the CSS custom properties every theme sets
+     * @param {Object} palette - Theme entry or derivePalette() result
+     * @returns {Object} e.g. { '--primary': '#8B5CF6', '--primary-rgb': '139, 92, 246', ... }
+     */
+    getVariables(palette) {
+        const rgb = (hex) => this.hexToRgb(hex).join(', ');
+        return {
+            '--primary': palette.primary,
+            '--primary-rgb': rgb(palette.primary),
+            '--secondary': palette.secondary,
+            '--secondary-rgb': rgb(palette.secondary),
+            '--bg': palette.bg,
+            '--bg-rgb': rgb(palette.bg),
+            '--bg-elevated': palette.bgElevated,
+            '--text': palette.text,
+            '--text-muted': palette.textMuted,
+            '--gradient-start': palette.primary,
+            '--gradient-end': palette.secondary
+        };
+    },
+    
+    /**
+     * Write a [data-theme] rule for every registered theme into a <style> element
+     */
+    renderStyles() {
+        if (!this.styleElement) {
+            this.styleElement = document.createElement('style');
+            this.styleElement.id = 'theme-registry';
+            document.head.appendChild(this.styleElement);
+        }
+        
+        this.styleElement.textContent = this.themes
+            .map(theme => {
+                const declarations = Object.entries(this.getVariables(theme))
+                    .map(([name, value]) => `    ${name}: ${value};`)
+                    .join('\n');
+                return `[data-theme="${theme.id}"] {\n${declarations}\n}`;
+            })
+            .join('\n\n');
+    },
+    
+    /**
+     * Build the dropdown options from the registry, above the "Create theme" button
+     */
+    renderMenu() {
+        const dropdown = document.querySelector('.theme-selector__dropdown');
+        if (!dropdown) return;
+        
+        dropdown.querySelectorAll('.theme-option').forEach(option => option.remove());
+        const create = dropdown.querySelector('.theme-selector__create');
+        
+        // Auto first, then every theme; locked bonus themes stay out of the menu
+        const auto = document.createElement('button');
+        auto.type = 'button';
+        auto.className = 'theme-option theme-option--auto';
+        auto.setAttribute('data-theme-mode', 'auto');
+        auto.setAttribute('role', 'menuitemradio');
+        auto.tabIndex = -1;
+        auto.innerHTML = `
+            <span class="theme-option__swatch"></span>
+            <span class="theme-option__name">Auto <span class="theme-option__hint"></span></span>
+            <span class="theme-option__check" aria-hidden="true">✓</span>
+        `;
+        dropdown.insertBefore(auto, create);
+        
+        const available = this.themes.filter(t => this.isAvailable(t));
+        this.menuThemes = available.map(t => t.id).join();
+        
+        available.forEach(theme => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'theme-option';
+            option.setAttribute('data-theme', theme.id);
+            option.setAttribute('role', 'menuitemradio');
+            option.tabIndex = -1;
+            option.innerHTML = `
+                <span class="theme-option__swatch"></span>
+                <span class="theme-option__name"></span>
+                <span class="theme-option__check" aria-hidden="true">✓</span>
+            `;
+            option.querySelector('.theme-option__swatch').style.background =
+                `linear-gradient(135deg, ${theme.primary}, ${theme.secondary})`;
+            option.querySelector('.theme-option__name').textContent = theme.name;
+            dropdown.insertBefore(option, create);
+        });
+        
+        this.updateMenuState();
+    },
+    
+    /**
+     * Mark the active theme in the dropdown
+     */
+    updateMenuState() {
+        document.querySelectorAll('.theme-option').forEach(option => {
+            const isAuto = option.getAttribute('data-theme-mode') === 'auto';
+            const checked = this.autoEnabled ? isAuto : option.getAttribute('data-theme') === this.currentTheme;
+            option.setAttribute('aria-checked', checked);
+        });
+        
+        // Show which theme Auto is on
+        const hint = document.querySelector('.theme-option--auto .theme-option__hint');
+        if (hint) {
+            hint.textContent = this.autoEnabled ? `· ${this.getCurrentTheme()?.name || ''}` : '';
+        }
+    },
+    
+    /**
+     * Preview theme variables on the page without switching themes
+     * @param {Object} vars - CSS custom properties from getVariables()
+     */
+    preview(vars) {
+        Object.entries(vars).forEach(([name, value]) => {
+            document.body.style.setProperty(name, value);
+        });
+        this.previewVars = Object.keys(vars);
+    },
+    
+    /**
+     * Remove a preview and show the active theme again
+     */
+    endPreview() {
+        (this.previewVars || []).forEach(name => document.body.style.removeProperty(name));
+        this.previewVars = null;
+    },
+    
+    /**
+     * @param {string} hex - Color like "#8B5CF6"
+     * @returns {Array<number>} [r, g, b]
+     */
+    hexToRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+    
+    /**
+     * Blend two colors
+     * @param {string} from - Hex color
+     * @param {string} to - Hex color
+     * @param {number} amount - 0 keeps `from`, 1 gives `to`
+     * @returns {string} Hex color
+     */
+    mixColors(from, to, amount) {
+        const target = this.hexToRgb(to);
+        const mixed = this.hexToRgb(from).map((c, i) => Math.round(c + (target[i] - c) * amount));
+        return `#${mixed.map(c => c.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+    },
+    
+    /**
+     * WCAG relative luminance
+     * @param {string} hex - Hex color
+     * @returns {number} 0 (black) to 1 (white)
+     */
+    getLuminance(hex) {
+        const [r, g, b] = this.hexToRgb(hex).map(c => {
+            const channel = c / 255;
+            return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    },
+    
+    /**
+     * WCAG contrast ratio between two colors
+     * @param {string} a - Hex color
+     * @param {string} b - Hex color
+     * @returns {number} 1 to 21
+     */
+    getContrastRatio(a, b) {
+        const [light, dark] = [this.getLuminance(a), this.getLuminance(b)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    },
+    
+    /**
+     * Open or close the dropdown
+     * @param {boolean} open - Whether the menu should be open
+     * @param {Object} [options]
+     * @param {string} [options.focus] - Item to focus on open: 'active', 'first' or 'last'
+     */
+    setMenuOpen(open, { focus } = {}) {
+        const toggle = document.querySelector('.theme-selector__toggle');
+        if (!toggle) return;
+        
+        toggle.setAttribute('aria-expanded', open);
+        if (!open || !focus) return;
+        
+        const items = this.getMenuItems();
+        const target = focus === 'first' ? items[0]
+            : focus === 'last' ? items[items.length - 1]
+            : items.find(item => item.getAttribute('aria-checked') === 'true') || items[0];
+        target?.focus();
+    },
+    
+    /**
+     * Focusable dropdown entries, in order
+     * @returns {Array<HTMLElement>}
+     */
+    getMenuItems() {
+        return Array.from(document.querySelectorAll('.theme-selector__dropdown [role^="menuitem"]'));
+    },
+    
+    /**
+     * Menu keyboard support: arrows, Home/End, typeahead and Escape
+     * @param {KeyboardEvent} e - Keydown event inside the dropdown
+     */
+    handleMenuKeydown(e) {
+        const items = this.getMenuItems();
+        const index = items.indexOf(document.activeElement);
+        const focusAt = (i) => items[(i + items.length) % items.length]?.focus();
+        
+        // Keys handled here shouldn't reach the global shortcuts (T, M, ...)
+        e.stopPropagation();
+        
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            focusAt(index + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            focusAt(index - 1);
+        } else if (e.key === 'Home') {
+            e.preventDefault();
+            focusAt(0);
+        } else if (e.key === 'End') {
+            e.preventDefault();
+            focusAt(items.length - 1);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.setMenuOpen(false);
+            document.querySelector('.theme-selector__toggle')?.focus();
+        } else if (e.key === 'Tab') {
+            this.setMenuOpen(false);
+        } else if (e.key.length === 1 && /\S/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            // Typeahead: jump to the next item starting with the typed letters
+            clearTimeout(this.typeaheadTimer);
+            this.typeahead += e.key.toLowerCase();
+            this.typeaheadTimer = setTimeout(() => { this.typeahead = ''; }, 500);
+            
+            const ordered = [...items.slice(index + 1), ...items.slice(0, index + 1)];
+            const match = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(this.typeahead))
+                || ordered.find(item => item.textContent.trim().toLowerCase().startsWith(e.key.toLowerCase()));
+            match?.focus();
+        }
     },
     
     /**
@@ -95,36 +732,79 @@ const ThemeManager = {
             toggle.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
-                toggle.setAttribute('aria-expanded', !isExpanded);
+                // Opening with Enter/Space (a click without a pointer) moves focus into the menu
+                this.setMenuOpen(!isExpanded, { focus: e.detail === 0 ? 'active' : null });
+            });
+            
+            // Arrow keys on the toggle open the menu and move into it
+            toggle.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.setMenuOpen(true, { focus: e.key === 'ArrowDown' ? 'active' : 'last' });
+                }
             });
             
             // Close dropdown when clicking outside
             document.addEventListener('click', () => {
-                toggle.setAttribute('aria-expanded', 'false');
+                this.setMenuOpen(false);
             });
             
             dropdown.addEventListener('click', (e) => {
                 e.stopPropagation();
+                
+                // Delegated, since options are rendered (and re-rendered) from the registry
+                const option = e.target.closest('.theme-option');
+                if (!option) return;
+                
+                if (option.getAttribute('data-theme-mode') === 'auto') {
+                    this.setAuto(true);
+                } else {
+                    this.apply(option.getAttribute('data-theme'), { source: 'menu' });
+                }
+                this.setMenuOpen(false);
+                toggle.focus();
             });
+            
+            dropdown.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
         }
         
-        // Theme option buttons
-        const themeOptions = document.querySelectorAll('.theme-option');
-        themeOptions.forEach(option => {
-            option.addEventListener('click', () => {
-                const themeId = option.getAttribute('data-theme');
-                this.apply(themeId);
-                
-                // Close dropdown
-                if (toggle) {
-                    toggle.setAttribute('aria-expanded', 'false');
-                }
+        // Follow theme changes made in other tabs
+        EventBus.on('storage:changed', ({ key, value }) => {
+            if (key === this.storageKey && value && value !== this.currentTheme) {
+                this.apply(value, { source: 'sync' });
+            } else if (key === this.autoStorageKey) {
+                this.setAuto(!!value, { persist: false });
+            } else if (key === this.customStorageKey) {
+                this.loadCustomThemes();
                 
-                // Trigger theme change achievement
-                if (window.AchievementManager) {
-                    window.AchievementManager.unlock('designer');
+                // The other tab may have switched to (or deleted) a custom theme
+                const savedTheme = Store.get(this.storageKey);
+                if (savedTheme !== this.currentTheme && this.themes.find(t => t.id === savedTheme)) {
+                    this.apply(savedTheme, { source: 'sync' });
+                } else if (!this.getCurrentTheme()) {
+                    this.apply(this.defaultTheme, { source: 'sync' });
                 }
-            });
+            }
+        });
+        
+        // Add bonus themes to the menu as they are unlocked (every XP gain reports
+        // progress, and rebuilding would pull focus out of an open menu)
+        EventBus.on('progression:changed', () => {
+            const available = this.themes.filter(t => this.isAvailable(t)).map(t => t.id).join();
+            if (available !== this.menuThemes) {
+                this.renderMenu();
+            }
+        });
+        
+        // Auto follows OS setting changes live
+        Object.values(this.mediaQueries).forEach(query => {
+            query.addEventListener('change', () => this.applyAuto());
+        });
+        
+        // Timers can be held back while the tab is in the background, so catch up on return
+        EventBus.on('page:visibility', ({ hidden }) => {
+            if (!hidden) this.applyAuto();
         });
     }
 };
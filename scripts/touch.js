@@ -0,0 +1,438 @@
+/**
+ * touch.js - Touch & Motion Interactions
+ * Card tilt from device orientation, tap ripples and long-press project peeks for touch screens
+ */
+
+const TouchManager = {
+    // Card tilt in degrees at full lean, and how many degrees of phone tilt that takes
+    maxTilt: 12,
+    tiltRange: 30,
+    // How quickly the "level" position follows the way the phone is held (0-1 per reading)
+    recenter: 0.01,
+
+    // Hold this long (ms) on a project card to peek at it; moving further (px) cancels
+    longPressDelay: 500,
+    moveTolerance: 10,
+
+    // Elements that ripple and scale up when tapped
+    pressTargets: '.btn, .card--3d, .nav__link, .nav__mobile-link, .social-link, .filter-chip, button, [data-magnetic]',
+
+    // 'granted' or 'declined', for browsers that ask before sharing motion
+    storageKey: 'motion',
+
+    enabled: false,
+    reducedMotion: null,
+    tilting: false,
+    baseline: null,
+    cardObserver: null,
+    visibleCards: new Set(),
+    // Card → quickTo setters for its rotation
+    tilts: new WeakMap(),
+    press: null,
+    suppressClick: false,
+    prompt: null,
+    peek: null,
+    // Where focus goes back to when the peek closes
+    lastFocused: null,
+
+    /**
+     * Initialize touch interactions (touch screens only; mice get CursorManager)
+     */
+    init() {
+        if (!window.matchMedia('(hover: none), (pointer: coarse)').matches || typeof gsap === 'undefined') {
+            return;
+        }
+
+        this.enabled = true;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.prompt = document.querySelector('.motion-prompt');
+        this.peek = document.querySelector('.card-peek');
+        document.documentElement.classList.add('touch-mode');
+
+        this.setupPress();
+        this.setupPeek();
+        this.setupMotion();
+
+        console.log('👆 Touch interactions initialized');
+    },
+
+    /**
+     * Ripple and scale on tap, and start the long-press timer on project cards
+     */
+    setupPress() {
+        document.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse') return;
+
+            // A long-press that never produced a click shouldn't swallow this tap's
+            this.suppressClick = false;
+
+            const target = e.target.closest(this.pressTargets);
+            if (!target) return;
+
+            if (!this.reducedMotion.matches) {
+                this.ripple(e.clientX, e.clientY);
+                gsap.to(target, { scale: 1.03, duration: 0.2, ease: 'power2.out' });
+            }
+
+            this.press = { target, x: e.clientX, y: e.clientY, timer: null };
+
+            const card = e.target.closest('.card[data-project]');
+            if (card && this.peek) {
+                this.press.timer = setTimeout(() => this.onLongPress(card), this.longPressDelay);
+            }
+        }, { passive: true });
+
+        // Moving the finger means a scroll or swipe, not a press
+        document.addEventListener('pointermove', (e) => {
+            if (this.press && Math.hypot(e.clientX - this.press.x, e.clientY - this.press.y) > this.moveTolerance) {
+                this.endPress();
+            }
+        }, { passive: true });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            document.addEventListener(type, () => this.endPress());
+        });
+
+        // The click that ends a long-press would otherwise open the project overlay too
+        document.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, { capture: true });
+
+        // Long-pressing a card shows the peek, not the browser's context menu
+        document.addEventListener('contextmenu', (e) => {
+            if (e.target.closest('.card[data-project]')) {
+                e.preventDefault();
+            }
+        });
+    },
+
+    /**
+     * Release the pressed element and cancel a pending long-press
+     */
+    endPress() {
+        if (!this.press) return;
+
+        clearTimeout(this.press.timer);
+        if (!this.reducedMotion.matches) {
+            gsap.to(this.press.target, { scale: 1, duration: 0.3, ease: 'power2.out' });
+        }
+        this.press = null;
+    },
+
+    /**
+     * Expanding ring where the finger landed
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     */
+    ripple(x, y) {
+        const ripple = document.createElement('span');
+        ripple.className = 'touch-ripple';
+        ripple.setAttribute('aria-hidden', 'true');
+        ripple.style.left = `${x}px`;
+        ripple.style.top = `${y}px`;
+        document.body.appendChild(ripple);
+
+        gsap.fromTo(ripple, { scale: 0, opacity: 0.6 }, {
+            scale: 1,
+            opacity: 0,
+            duration: 0.6,
+            ease: 'power2.out',
+            onComplete: () => ripple.remove()
+        });
+    },
+
+    /**
+     * Show a project's details after a long-press on its card
+     * @param {HTMLElement} card - The pressed card
+     */
+    onLongPress(card) {
+        const project = window.ProjectManager?.getProject(card.getAttribute('data-project'));
+        if (!project) return;
+
+        this.suppressClick = true;
+        navigator.vibrate?.(15);
+        this.endPress();
+        this.showPeek(project, card);
+    },
+
+    /**
+     * Set up the peek sheet's close and open actions
+     */
+    setupPeek() {
+        if (!this.peek) return;
+
+        this.peek.addEventListener('click', (e) => {
+            // "View Project" follows its link to the overlay route; hand focus back first,
+            // so the overlay returns to the card rather than the hidden peek
+            if (e.target.closest('.card-peek__open')) {
+                this.restoreFocus();
+                this.hidePeek();
+            } else if (e.target.closest('[data-peek-close]')) {
+                this.hidePeek();
+            }
+        });
+
+        // Escape closes, Tab stays inside the sheet
+        document.addEventListener('keydown', (e) => {
+            if (this.peek.hidden) return;
+
+            if (e.key === 'Escape') {
+                this.hidePeek();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+    },
+
+    /**
+     * Fill in and slide up the peek sheet
+     * @param {Object} project - Project entry from the manifest
+     * @param {HTMLElement} card - The pressed card
+     */
+    showPeek(project, card) {
+        const sheet = this.peek.querySelector('.card-peek__sheet');
+
+        this.peek.querySelector('.card-peek__title').textContent = project.title;
+        this.peek.querySelector('.card-peek__meta').textContent = [project.role, project.timeline].filter(Boolean).join(' · ');
+        this.peek.querySelector('.card-peek__text').textContent = project.overview || project.description;
+        this.peek.querySelector('.card-peek__open').href = window.ProjectManager.getRoute(project.id);
+
+        const tags = this.peek.querySelector('.card-peek__tags');
+        tags.innerHTML = '';
+        (project.tags || []).forEach(tag => {
+            const item = document.createElement('li');
+            item.className = 'card__tag';
+            item.textContent = tag;
+            tags.appendChild(item);
+        });
+
+        // A press doesn't focus the card, so fall back to its link
+        this.lastFocused = card.contains(document.activeElement)
+            ? document.activeElement
+            : card.querySelector('.card__link');
+
+        this.peek.hidden = false;
+        gsap.fromTo(sheet, { yPercent: 100 }, { yPercent: 0, duration: this.reducedMotion.matches ? 0 : 0.35, ease: 'power3.out' });
+        this.peek.querySelector('.card-peek__open').focus();
+    },
+
+    /**
+     * Slide the peek sheet away
+     */
+    hidePeek() {
+        const sheet = this.peek.querySelector('.card-peek__sheet');
+        gsap.to(sheet, {
+            yPercent: 100,
+            duration: this.reducedMotion.matches ? 0 : 0.25,
+            ease: 'power2.in',
+            onComplete: () => {
+                this.peek.hidden = true;
+
+                // Unless something else (the project overlay) has taken focus since
+                if (this.peek.contains(document.activeElement) || document.activeElement === document.body) {
+                    this.restoreFocus();
+                }
+                this.lastFocused = null;
+            }
+        });
+    },
+
+    /**
+     * Return focus to the card the peek was opened from
+     */
+    restoreFocus() {
+        if (this.lastFocused && document.contains(this.lastFocused)) {
+            this.lastFocused.focus();
+        }
+    },
+
+    /**
+     * Keep Tab and Shift+Tab cycling within the peek sheet
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    trapFocus(e) {
+        const sheet = this.peek.querySelector('.card-peek__sheet');
+        const focusable = Array.from(sheet.querySelectorAll(
+            'a[href], button:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        ));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        // Pull focus back in if it escaped (e.g. after tapping the backdrop)
+        if (!sheet.contains(document.activeElement)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Tilt cards with the phone, asking first where the browser requires it (iOS)
+     */
+    setupMotion() {
+        if (!('DeviceOrientationEvent' in window) || this.reducedMotion.matches) return;
+
+        this.observeCards();
+        EventBus.on('projects:loaded', () => this.observeCards());
+
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            this.startTilt();
+            return;
+        }
+
+        const choice = Store.get(this.storageKey);
+        if (choice === 'declined') return;
+
+        if (choice === 'granted') {
+            // Granted before: the browser still wants a tap before it shares motion again
+            document.addEventListener('click', () => this.requestMotion(), { once: true, capture: true });
+            return;
+        }
+
+        // Offer it once the cards it affects are on screen
+        const off = EventBus.on('section:enter', ({ id }) => {
+            if (id !== 'nexus') return;
+            off();
+            this.showPrompt();
+        });
+
+        this.prompt?.addEventListener('click', (e) => {
+            if (e.target.closest('.motion-prompt__enable')) {
+                this.requestMotion();
+            } else if (e.target.closest('.motion-prompt__dismiss')) {
+                Store.set(this.storageKey, 'declined');
+                this.hidePrompt();
+            }
+        });
+    },
+
+    /**
+     * Ask for device orientation access (must run inside a tap)
+     */
+    async requestMotion() {
+        this.hidePrompt();
+
+        try {
+            const state = await DeviceOrientationEvent.requestPermission();
+            Store.set(this.storageKey, state === 'granted' ? 'granted' : 'declined');
+            if (state === 'granted') {
+                this.startTilt();
+            }
+        } catch (e) {
+            console.warn('Could not get motion access:', e);
+        }
+    },
+
+    /**
+     * Show the motion opt-in prompt
+     */
+    showPrompt() {
+        if (!this.prompt) return;
+
+        this.prompt.hidden = false;
+        gsap.fromTo(this.prompt, { y: 20, opacity: 0 }, { y: 0, opacity: 1, duration: 0.3, ease: 'power2.out' });
+    },
+
+    /**
+     * Hide the motion opt-in prompt
+     */
+    hidePrompt() {
+        if (this.prompt) this.prompt.hidden = true;
+    },
+
+    /**
+     * Track which cards are on screen, so only those are tilted
+     */
+    observeCards() {
+        if (!this.cardObserver) {
+            this.cardObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.visibleCards.add(entry.target);
+                    } else {
+                        this.visibleCards.delete(entry.target);
+                    }
+                });
+            });
+        }
+
+        document.querySelectorAll('.card--3d').forEach(card => this.cardObserver.observe(card));
+    },
+
+    /**
+     * Start following device orientation
+     */
+    startTilt() {
+        if (this.tilting) return;
+
+        this.tilting = true;
+        window.addEventListener('deviceorientation', (e) => this.onOrientation(e));
+
+        console.log('📱 Motion tilt enabled');
+    },
+
+    /**
+     * Lean the visible cards with the phone
+     * @param {DeviceOrientationEvent} e - Orientation reading
+     */
+    onOrientation(e) {
+        if (e.beta === null || e.gamma === null) return;
+
+        // However the phone is held counts as level, drifting along as the grip changes
+        if (!this.baseline) {
+            this.baseline = { beta: e.beta, gamma: e.gamma };
+        }
+        this.baseline.beta += (e.beta - this.baseline.beta) * this.recenter;
+        this.baseline.gamma += (e.gamma - this.baseline.gamma) * this.recenter;
+
+        const forward = e.beta - this.baseline.beta;
+        const sideways = e.gamma - this.baseline.gamma;
+
+        // beta/gamma are relative to the device, so swap them round in landscape
+        const angle = screen.orientation?.angle ?? window.orientation ?? 0;
+        const [tiltX, tiltY] = {
+            90: [-sideways, forward],
+            180: [-forward, -sideways],
+            270: [sideways, -forward],
+            '-90': [sideways, -forward]
+        }[angle] || [forward, sideways];
+
+        const lean = (degrees) => Math.max(-1, Math.min(1, degrees / this.tiltRange)) * this.maxTilt;
+        const rotateX = -lean(tiltX);
+        const rotateY = lean(tiltY);
+
+        this.visibleCards.forEach(card => {
+            const tilt = this.getTilt(card);
+            tilt.rotateX(rotateX);
+            tilt.rotateY(rotateY);
+        });
+    },
+
+    /**
+     * quickTo setters for a card's rotation, created on first use
+     * @param {HTMLElement} card - Card to tilt
+     * @returns {{rotateX: Function, rotateY: Function}}
+     */
+    getTilt(card) {
+        if (!this.tilts.has(card)) {
+            this.tilts.set(card, {
+                rotateX: gsap.quickTo(card, 'rotationX', { duration: 0.4, ease: 'power2.out' }),
+                rotateY: gsap.quickTo(card, 'rotationY', { duration: 0.4, ease: 'power2.out' })
+            });
+        }
+        return this.tilts.get(card);
+    }
+};
+
+// Export for use in other modules
+window.TouchManager = TouchManager;